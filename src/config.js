@@ -21,5 +21,95 @@ export const CAMERA_CONFIG = {
   zoomLimits: {
     min: 0.35,
     max: 2.5
+  },
+
+  // Fly-to (search results): zoom in to at least this, over durationMs
+  focus: {
+    zoom: 1.2,
+    durationMs: 900
+  },
+
+  // Fit all / double-click zoom-to-subtree: screen px kept free around the
+  // content, over durationMs; small subtrees stop at maxZoom (and every fit
+  // stays within zoomLimits)
+  fit: {
+    padding: 48,
+    maxZoom: 1.6,
+    durationMs: 700
+  },
+
+  // Tile level of detail: zoom < far → coloured blocks + root titles,
+  // zoom >= near → thumbnail + title + short description, else thumbnails
+  lod: {
+    far: 0.55,
+    near: 1.4
+  }
+};
+
+export const LAYOUT_CONFIG = {
+  // "tree" | "radial" — can be overridden per page with ?layout=radial
+  mode: "tree",
+  // "ltr" | "ttb" | "rtl" — can be overridden per page with ?orientation=ttb
+  orientation: "ltr",
+  // "span" stacks each root's full span; "compact" packs by actual outline
+  packing: "span",
+  rootGap: 340,
+  // Width of a root's title box (.root-title in style.css). It overhangs the
+  // root column to the left in "ltr" / radial, to the right in "ttb" / "rtl".
+  rootTitleWidth: 700
+};
+
+// Fallbacks for the `site` block of sketches.json (see siteMeta.js)
+export const SITE_DEFAULTS = {
+  title: "Sketches",
+  author: "",
+  affiliation: "",
+  term: "",
+  accentColor: ""
+};
+
+// Node tag chip colours (sketches.json `tags`); other tags get a hue from their name
+export const TAG_COLORS = {
+  vectors: "#4f9dff",
+  forces: "#ff8a3d",
+  oscillation: "#b67cff",
+  broken: "#ff4d5e",
+  final: "#3ccf7a"
+};
+
+// Overridable per site from a `wires` block in sketches.json (same shape;
+// see tree/wireStyles.js)
+export const WIRE_CONFIG = {
+  // "bezier" | "orthogonal" | "straight" | "tapered" | "arc"; a kind may set its own
+  style: "bezier",
+
+  // orthogonal: rounding of the elbow corners (px)
+  cornerRadius: 8,
+
+  // arc: how far the curve bows out, as a fraction of its length
+  arcBend: 0.2,
+
+  // tapered: width × max(minScale, rootScale − depth × step)
+  taper: {
+    rootScale: 2.5,
+    step: 0.4,
+    minScale: 0.5
+  },
+
+  kinds: {
+    branch: { stroke: "rgba(255,255,255,0.25)", width: 2, dash: null },
+    merge: { stroke: "rgba(255,255,255,0.3)", width: 2, dash: "2 6" },
+    star: { stroke: "rgba(255,255,255,0.35)", width: 2.25, dash: "6 6" },
+    // Cross-links (`references`, "Inspired by")
+    link: { style: "arc", stroke: "rgba(120,190,255,0.45)", width: 1.5, dash: "4 6" }
+  },
+
+  // Labels halfway along each parent → child path: the child's `changeNote`
+  // and/or "+N / −M" lines changed vs. its parent's files. Hidden at far zoom
+  // (see CAMERA_CONFIG.lod).
+  labels: {
+    notes: true,
+    diffStats: true,
+    maxChars: 20
   }
 };
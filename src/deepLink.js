@@ -0,0 +1,48 @@
+// src/deepLink.js
+
+/**
+ * Deep links: the URL hash carries the camera and the open sketch, e.g.
+ *
+ *   /?orientation=ttb#x=250&y=-5900&z=0.9&node=n140
+ *
+ * (the query string stays for embed options). x / y are the world point at the
+ * centre of the view and z the zoom (state.zoom), so a link shows the same
+ * spot whatever the window size; `node` is the sketch open in the viewer
+ * panel. Every field is optional; unreadable ones come back as null.
+ */
+
+export function parseDeepLink(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+
+  const x = readNumber(params.get("x"));
+  const y = readNumber(params.get("y"));
+  const zoom = readNumber(params.get("z"));
+
+  return {
+    center: x != null && y != null ? { x, y } : null,
+    zoom: zoom != null && zoom > 0 ? zoom : null,
+    nodeId: params.get("node") || null
+  };
+}
+
+export function formatDeepLink({ center, zoom, nodeId }) {
+  const params = new URLSearchParams();
+  if (center) {
+    params.set("x", String(Math.round(center.x)));
+    params.set("y", String(Math.round(center.y)));
+  }
+  if (zoom) params.set("z", String(Math.round(zoom * 1000) / 1000));
+  if (nodeId) params.set("node", nodeId);
+  return `#${params}`;
+}
+
+// True if the link asks for anything (so the intro should be skipped)
+export function hasDeepLink(link) {
+  return !!(link.center || link.zoom || link.nodeId);
+}
+
+function readNumber(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
@@ -1,28 +1,110 @@
 // src/main.js
 import { layoutForest } from "./tree/layout.js";
-import { renderForest } from "./tree/render.js";
-import { renderWires } from "./tree/wires.js";
+import { layoutRadial } from "./tree/radialLayout.js";
+import {
+  renderForest,
+  updateForestViewport,
+  updateZoomLevel,
+  pulseTile,
+  getExpandedTileRects
+} from "./tree/render.js";
+import { renderWires, updateWiresViewport } from "./tree/wires.js";
 import { attachPanZoom } from "./tree/interactions.js";
-import { normalizeStarRoots } from "./tree/starRoots.js";
+import { attachHoverCard } from "./tree/hoverCard.js";
+import { collectTags, computeTagFilter } from "./tree/tagFilter.js";
+import { createFilterBar } from "./tree/filterBar.js";
+import { createSearchPalette } from "./tree/searchPalette.js";
+import { createCodeSearchPanel } from "./tree/codeSearchPanel.js";
+import { createMinimap } from "./tree/minimap.js";
+import { createLineageHighlighter } from "./tree/lineage.js";
+import { createKeyboardNav } from "./tree/keyboardNav.js";
+import {
+  getColumnEntryRect,
+  getNodeTileRect,
+  getLayoutBounds,
+  getSubtreeBounds,
+  unionRects,
+  rectsIntersect
+} from "./tree/geometry.js";
+import {
+  normalizeStarRoots,
+  buildParentIndex,
+  linkDeclaredParents,
+  getReferenceIds,
+  getReferencedByIds
+} from "./tree/starRoots.js";
+import { resolveWireConfig } from "./tree/wireStyles.js";
+import {
+  snapshotAuthorExpanded,
+  applyStoredExpanded,
+  toggleBranch,
+  revealNode,
+  hasExpandedOverrides,
+  resetExpandedToAuthor
+} from "./tree/expandState.js";
 
 import { createModalManager } from "./modal/modal.js";
 import { createViewerPanel } from "./modal/viewerPanel.js";
 
-import { CAMERA_CONFIG } from "./config.js";
+import { normalizeSiteMeta, applySiteMeta } from "./siteMeta.js";
+import { parseDeepLink, formatDeepLink, hasDeepLink } from "./deepLink.js";
+import { CAMERA_CONFIG, LAYOUT_CONFIG, WIRE_CONFIG } from "./config.js";
 
 // DOM
 const canvasEl = document.getElementById("canvas");
 const viewportEl = document.getElementById("viewport");
 const wiresEl = document.getElementById("wires");
 
+// Embeds can ask for a different tree direction (e.g. ?orientation=ttb)
+// or the radial overview (?layout=radial)
+const pageParams = new URLSearchParams(location.search);
+const orientation = pageParams.get("orientation") || LAYOUT_CONFIG.orientation;
+const layoutMode = pageParams.get("layout") || LAYOUT_CONFIG.mode;
+
 // Viewer state (read-only)
 const state = {
+  site: normalizeSiteMeta(null),
+  wires: WIRE_CONFIG,
   roots: [],
   nodes: {},
+  // Tag filter selection (see tagFilter.js)
+  filter: { tags: new Set(), mode: "dim" },
   pan: { x: CAMERA_CONFIG.pointA.x, y: CAMERA_CONFIG.pointA.y },
   zoom: CAMERA_CONFIG.viewer.startZoom
 };
 
+// Screen-space margin around the viewport that is kept materialised (culling)
+const CULL_MARGIN_PX = 300;
+let hasRendered = false;
+let viewportRaf = null;
+let lastLayout = null;
+let isIntroPlaying = false;
+let minimap = null; // needs panzoom, which reports camera changes from init
+
+// Deep link (#x=…&y=…&z=…&node=…, see deepLink.js): read once at boot, then
+// camera moves rewrite the current history entry and opening a sketch pushes one
+const initialLink = parseDeepLink(location.hash);
+const URL_UPDATE_MS = 300;
+let urlTimer = null;
+let openNodeId = null;          // sketch shown in the viewer modal
+let isApplyingHistory = false;  // popstate → modal: don't push again
+
+// Tile hover card (fixed, follows the tile through pan/zoom)
+const hoverCard = attachHoverCard({
+  viewportEl,
+  state,
+  getParentIndex: () => lastLayout?.parentIndex
+});
+
+// Lineage highlight: hovered (else selected) tile's root path + descendants
+const lineage = createLineageHighlighter({
+  state,
+  canvasEl,
+  viewportEl,
+  wiresEl,
+  getParentIndex: () => lastLayout?.parentIndex
+});
+
 // Pan/zoom
 const panzoom = attachPanZoom({
   canvasEl,
@@ -30,80 +112,342 @@ const panzoom = attachPanZoom({
   wiresEl,
   state,
   minZoom: CAMERA_CONFIG.zoomLimits.min,
-  maxZoom: CAMERA_CONFIG.zoomLimits.max
+  maxZoom: CAMERA_CONFIG.zoomLimits.max,
+  onChange: onCameraChange
 });
 
+// A click on empty canvas (not the end of a pan) drops the lineage selection
+let canvasDownAt = null;
+canvasEl.addEventListener("pointerdown", (e) => {
+  canvasDownAt = { x: e.clientX, y: e.clientY };
+});
+canvasEl.addEventListener("click", (e) => {
+  if (!canvasDownAt || e.target.closest(".square, button")) return;
+  if (Math.hypot(e.clientX - canvasDownAt.x, e.clientY - canvasDownAt.y) > 4) return;
+  lineage.select(null);
+});
+
+// Minimap (fixed bottom-right): click/drag to move the camera
+minimap = createMinimap({
+  state,
+  panzoom,
+  isBlocked: () => isIntroPlaying
+});
+document.body.appendChild(minimap.el);
+
 // Modal root for viewer
 const modalRootEl = document.createElement("div");
 modalRootEl.id = "modal-root";
 document.body.appendChild(modalRootEl);
 
 // Modal manager
-const modal = createModalManager({ modalRootEl });
+const modal = createModalManager({
+  modalRootEl,
+  onClose: () => {
+    openNodeId = null;
+    // Rewrite the sketch's entry so Back doesn't reopen what was just closed
+    if (!isApplyingHistory) writeUrl("replace");
+  }
+});
+
+// Back / Forward: open or close the viewer to match the entry
+window.addEventListener("popstate", () => {
+  const { nodeId } = parseDeepLink(location.hash);
+
+  isApplyingHistory = true;
+  try {
+    if (nodeId && state.nodes[nodeId]) {
+      if (nodeId !== openNodeId) openViewer(nodeId);
+    } else {
+      modal.closeModal();
+    }
+  } finally {
+    isApplyingHistory = false;
+  }
+
+  // The entry keeps its sketch but takes the current camera
+  writeUrl("replace");
+});
+
+// Search (Ctrl/Cmd+K) → fly to the picked sketch
+const searchPalette = createSearchPalette({
+  state,
+  onPick: focusNode,
+  isBlocked: () => modal.isOpen() || isIntroPlaying
+});
+document.body.appendChild(searchPalette.el);
+
+// Code search (Ctrl/Cmd+Shift+F) → viewer panel at the matching line
+const codeSearchPanel = createCodeSearchPanel({
+  state,
+  getParentIndex: () => lastLayout?.parentIndex,
+  onOpenHit: (hit) => openViewer(hit.nodeId, { path: hit.path, line: hit.line }),
+  isBlocked: () => modal.isOpen()
+});
+document.body.appendChild(codeSearchPanel.el);
+
+// Keyboard: arrows move a tile focus, Enter opens it, +/−/0 zoom + fit
+const keyboardNav = createKeyboardNav({
+  state,
+  viewportEl,
+  panzoom,
+  getLayout: () => lastLayout,
+  onOpen: onNodeClick,
+  onFitAll: fitAll,
+  isBlocked: () => modal.isOpen() || isIntroPlaying || searchPalette.isOpen()
+});
+
+// Viewer toolbar (fixed, outside the pan/zoom transform)
+const toolbarEl = document.createElement("div");
+toolbarEl.className = "viewer-toolbar";
+document.body.appendChild(toolbarEl);
+
+const resetLayoutBtn = document.createElement("button");
+resetLayoutBtn.type = "button";
+resetLayoutBtn.className = "btn btn-pill";
+resetLayoutBtn.textContent = "Reset layout";
+resetLayoutBtn.title = "Reset branches to the author's layout";
+resetLayoutBtn.addEventListener("click", () => {
+  resetExpandedToAuthor(state);
+  render();
+});
+toolbarEl.appendChild(resetLayoutBtn);
+
+const searchBtn = document.createElement("button");
+searchBtn.type = "button";
+searchBtn.className = "btn btn-pill";
+searchBtn.textContent = "Search";
+searchBtn.title = "Search sketches (Ctrl/Cmd+K)";
+searchBtn.addEventListener("click", () => searchPalette.open());
+toolbarEl.prepend(searchBtn);
+
+const codeSearchBtn = document.createElement("button");
+codeSearchBtn.type = "button";
+codeSearchBtn.className = "btn btn-pill";
+codeSearchBtn.textContent = "Code";
+codeSearchBtn.title = "Search code across all sketches (Ctrl/Cmd+Shift+F)";
+codeSearchBtn.addEventListener("click", () => codeSearchPanel.toggle());
+searchBtn.after(codeSearchBtn);
+
+const fitBtn = document.createElement("button");
+fitBtn.type = "button";
+fitBtn.className = "btn btn-pill";
+fitBtn.textContent = "Fit all";
+fitBtn.title = "Zoom to fit the whole tree (0)";
+fitBtn.addEventListener("click", fitAll);
+codeSearchBtn.after(fitBtn);
+
+// Double-click a column (or a week's title) → zoom to fit that subtree
+viewportEl.addEventListener("dblclick", (e) => {
+  if (e.target.closest(".square, button")) return;
+  const col = e.target.closest(".column-wrap[data-col-id]");
+  if (col) fitSubtree(col.dataset.colId);
+});
 
 // Boot
 await loadStateFromJson();
-render();
 
-// Intro animation (viewer only)
-panzoom.setEnabled(false);
-panzoom.setZoomLimits(CAMERA_CONFIG.zoomLimits.min, CAMERA_CONFIG.zoomLimits.max);
-panzoom.setCamera({
-  x: CAMERA_CONFIG.pointA.x,
-  y: CAMERA_CONFIG.pointA.y,
-  zoom: CAMERA_CONFIG.viewer.startZoom
+// Tag filter bar (hidden when no node has tags)
+const filterBar = createFilterBar({
+  tags: collectTags(state),
+  selection: state.filter,
+  onChange: render
 });
+document.body.appendChild(filterBar.el);
+
 render();
 
-animateCamera({
-  from: {
+// A deep link restores its camera (and sketch) instead of the intro
+if (hasDeepLink(initialLink)) {
+  restoreDeepLink(initialLink);
+} else {
+  playIntro();
+}
+
+// Intro animation (viewer only)
+function playIntro() {
+  // Ordinary visits keep a bare URL: nothing is written until the intro is
+  // over and the visitor moves the camera (the boot render armed the timer)
+  isIntroPlaying = true;
+  clearTimeout(urlTimer);
+  urlTimer = null;
+
+  panzoom.setEnabled(false);
+  panzoom.setZoomLimits(CAMERA_CONFIG.zoomLimits.min, CAMERA_CONFIG.zoomLimits.max);
+  panzoom.setCamera({
     x: CAMERA_CONFIG.pointA.x,
     y: CAMERA_CONFIG.pointA.y,
     zoom: CAMERA_CONFIG.viewer.startZoom
-  },
-  to: {
-    x: CAMERA_CONFIG.pointB.x,
-    y: CAMERA_CONFIG.pointB.y,
-    zoom: CAMERA_CONFIG.viewer.endZoom
-  },
-  durationMs: CAMERA_CONFIG.viewer.introMs,
-  onUpdate: (cam) => {
-    panzoom.setCamera(cam);
-    // Layout doesn't change during camera tween; transform only.
-    panzoom.applyTransform();
-  },
-  onDone: () => {
-    // Snap to exact end values (avoid tiny float drift)
-    panzoom.setCamera({
+  });
+  render();
+
+  animateCamera({
+    from: {
+      x: CAMERA_CONFIG.pointA.x,
+      y: CAMERA_CONFIG.pointA.y,
+      zoom: CAMERA_CONFIG.viewer.startZoom
+    },
+    to: {
       x: CAMERA_CONFIG.pointB.x,
       y: CAMERA_CONFIG.pointB.y,
       zoom: CAMERA_CONFIG.viewer.endZoom
+    },
+    durationMs: CAMERA_CONFIG.viewer.introMs,
+    onUpdate: (cam) => {
+      panzoom.setCamera(cam);
+      // Layout doesn't change during camera tween; transform only.
+      panzoom.applyTransform();
+    },
+    onDone: () => {
+      // Snap to exact end values (avoid tiny float drift)
+      panzoom.setCamera({
+        x: CAMERA_CONFIG.pointB.x,
+        y: CAMERA_CONFIG.pointB.y,
+        zoom: CAMERA_CONFIG.viewer.endZoom
+      });
+      panzoom.setEnabled(true);
+      isIntroPlaying = false;
+    }
+  });
+}
+
+// Camera from the link (missing parts: the intro's end view), then its sketch
+function restoreDeepLink({ center, zoom, nodeId }) {
+  panzoom.setView({
+    pan: { x: CAMERA_CONFIG.pointB.x, y: CAMERA_CONFIG.pointB.y },
+    zoom: zoom ?? CAMERA_CONFIG.viewer.endZoom
+  });
+  if (center) {
+    // Recentre at the zoom setView settled on, for this window's size
+    const r = canvasEl.getBoundingClientRect();
+    const z = state.zoom;
+    panzoom.setView({
+      pan: { x: r.width / 2 - center.x * z, y: r.height / 2 - center.y * z },
+      zoom: z
     });
-    panzoom.setEnabled(true);
   }
-});
+
+  const node = nodeId && state.nodes[nodeId];
+  if (!node || node.kind === "star") {
+    render();
+    writeUrl("replace");
+    return;
+  }
+
+  if (center) {
+    revealNode(state, nodeId);
+    lineage.select(nodeId);
+    keyboardNav.setFocused(nodeId, { follow: false });
+    render();
+  } else {
+    // No camera in the link: fly to the sketch instead
+    focusNode(nodeId);
+  }
+
+  // This entry becomes "tree only", so Back from the panel stays on the page
+  writeUrl("replace");
+  openViewer(nodeId);
+}
 
 // -----------------------------
 // Rendering
 // -----------------------------
 function render() {
-  const layout = layoutForest(state, { rootGap: 340 });
+  // Who lists whom in `children`, once per render (shared via layout.parentIndex)
+  const parentIndex = buildParentIndex(state);
+  const filter = computeTagFilter(state, state.filter, parentIndex);
+
+  const layoutFn = layoutMode === "radial" ? layoutRadial : layoutForest;
+  const layout = layoutFn(state, {
+    rootGap: LAYOUT_CONFIG.rootGap,
+    packing: LAYOUT_CONFIG.packing,
+    orientation,
+    hiddenIds: filter.hiddenIds,
+    parentIndex
+  });
+  lastLayout = layout;
+  minimap.setLayout(layout);
 
   renderForest({
     state,
     layout,
     viewportEl,
     mode: "viewer",
+    site: state.site,
+    filter,
     onNodeClick,
+    onToggleBranch,
     // IMPORTANT: star tiles render the SOURCE node's files (no duplication)
-    getFilesForNode: (id) => state.nodes[id]?.files || {}
+    getFilesForNode: (id) => state.nodes[id]?.files || {},
+    viewRect: panzoom.getViewRect(CULL_MARGIN_PX)
+  });
+
+  renderWires({
+    state,
+    layout,
+    wiresEl,
+    filter,
+    config: state.wires,
+    viewRect: panzoom.getViewRect(CULL_MARGIN_PX)
   });
+  hasRendered = true;
+  lineage.refresh();
+  keyboardNav.refresh();
 
-  renderWires({ state, layout, wiresEl });
+  resetLayoutBtn.disabled = !hasExpandedOverrides(state);
 
   panzoom.applyTransform();
 }
 
+function onCameraChange() {
+  updateZoomLevel({
+    canvasEl,
+    zoom: state.zoom,
+    thresholds: CAMERA_CONFIG.lod
+  });
+  hoverCard.reposition();
+  minimap?.update();
+  scheduleViewportUpdate();
+  scheduleUrlUpdate();
+}
+
+// Camera moved: only mount/unmount what entered/left the view (no re-layout)
+function scheduleViewportUpdate() {
+  if (viewportRaf) return;
+  viewportRaf = requestAnimationFrame(() => {
+    viewportRaf = null;
+    if (!hasRendered) return;
+
+    const viewRect = panzoom.getViewRect(CULL_MARGIN_PX);
+    updateForestViewport({ viewportEl, viewRect });
+    updateWiresViewport({ wiresEl, viewRect });
+    lineage.refresh();
+    keyboardNav.refresh();
+  });
+}
+
+// -----------------------------
+// URL (deep link) sync
+// -----------------------------
+function scheduleUrlUpdate() {
+  if (!hasRendered || isIntroPlaying) return;
+  clearTimeout(urlTimer);
+  urlTimer = setTimeout(() => writeUrl("replace"), URL_UPDATE_MS);
+}
+
+// "push" adds a history entry (modal open), "replace" rewrites this one
+function writeUrl(mode) {
+  clearTimeout(urlTimer);
+  urlTimer = null;
+
+  const view = panzoom.getViewRect(0);
+  const center = { x: view.x + view.w / 2, y: view.y + view.h / 2 };
+  const hash = formatDeepLink({ center, zoom: state.zoom, nodeId: openNodeId });
+  const url = `${location.pathname}${location.search}${hash}`;
+  if (mode === "push") history.pushState(null, "", url);
+  else history.replaceState(null, "", url);
+}
+
 // -----------------------------
 // Viewer interactions
 // -----------------------------
@@ -114,16 +458,101 @@ function onNodeClick(nodeId) {
   // ⭐ Star tiles should do nothing on click
   if (n.kind === "star") return;
 
+  lineage.select(nodeId);
+  keyboardNav.setFocused(nodeId, { follow: false });
+  openViewer(nodeId);
+}
+
+// Viewer modal for a node, optionally opened on a file + line
+function openViewer(nodeId, { path, line } = {}) {
+  hoverCard.hide();
+
   const panel = createViewerPanel({
     nodeId,
     getNode: (id) => state.nodes[id],
-    onRequestClose: () => modal.closeModal()
+    onRequestClose: () => modal.closeModal(),
+    initialPath: path,
+    initialLine: line,
+    inspiredBy: getReferenceIds(state, nodeId),
+    inspires: getReferencedByIds(state, nodeId),
+    // Cross-link: fly the camera there and show that sketch instead
+    onNavigate: (id) => {
+      focusNode(id);
+      openViewer(id);
+    }
   });
 
   modal.openModal({
     panel,
     footerContent: panel.footerEl
   });
+
+  openNodeId = nodeId;
+  if (!isApplyingHistory) writeUrl("push");
+}
+
+// Open collapsed ancestors, re-layout, then centre + pulse the node's tile
+function focusNode(nodeId) {
+  const node = state.nodes[nodeId];
+  if (!node || isIntroPlaying) return;
+
+  // A "hide" tag filter would keep it out of layout: fall back to dimming
+  if (computeTagFilter(state, state.filter).hiddenIds.has(nodeId)) {
+    state.filter.mode = "dim";
+    filterBar.sync();
+  }
+
+  revealNode(state, nodeId);
+  lineage.select(nodeId);
+  keyboardNav.setFocused(nodeId, { follow: false });
+  render();
+
+  const rect = node.kind === "root"
+    ? getColumnEntryRect(lastLayout, nodeId)
+    : getNodeTileRect(state, lastLayout, nodeId);
+  if (!rect) return;
+
+  hoverCard.hide();
+  panzoom.centerOn(
+    { x: rect.x + rect.w / 2, y: rect.y + rect.h / 2 },
+    {
+      zoom: Math.max(state.zoom, CAMERA_CONFIG.focus.zoom),
+      duration: CAMERA_CONFIG.focus.durationMs,
+      // Wait a frame so the culling pass has mounted the tile
+      onDone: () => requestAnimationFrame(() => pulseTile({ viewportEl, nodeId }))
+    }
+  );
+}
+
+// Camera: fit the whole forest / one column and everything below it
+function fitAll() {
+  fitBounds(getLayoutBounds(lastLayout));
+}
+
+function fitSubtree(colId) {
+  fitBounds(getSubtreeBounds(state, lastLayout, colId));
+}
+
+function fitBounds(bounds) {
+  if (!bounds || isIntroPlaying) return;
+
+  // Star tiles mid hover-preview are bigger than their layout slot
+  const expanded = getExpandedTileRects({ canvasEl, viewportEl, pan: state.pan, zoom: state.zoom });
+  for (const rect of expanded) {
+    if (rectsIntersect(bounds, rect)) bounds = unionRects(bounds, rect);
+  }
+
+  hoverCard.hide();
+  panzoom.fitRect(bounds, {
+    padding: CAMERA_CONFIG.fit.padding,
+    maxZoom: CAMERA_CONFIG.fit.maxZoom,
+    duration: CAMERA_CONFIG.fit.durationMs,
+    lock: false
+  });
+}
+
+function onToggleBranch(parentId, childId) {
+  if (toggleBranch(state, parentId, childId)) render();
 }
 
 // -----------------------------
@@ -135,6 +564,10 @@ async function loadStateFromJson() {
 
   const data = await res.json();
 
+  state.site = normalizeSiteMeta(data.site);
+  applySiteMeta(state.site);
+  state.wires = resolveWireConfig(WIRE_CONFIG, data.wires);
+
   state.roots = Array.isArray(data.roots) ? data.roots : [];
   state.nodes = data.nodes || {};
 
@@ -149,14 +582,35 @@ async function loadStateFromJson() {
     node.title = node.title || "";
     node.description = node.description || "";
     node.thumbnailPath = node.thumbnailPath || "";
+    node.size = node.size || "normal"; // "milestone" | "normal" | "minor"
+    node.changeNote = typeof node.changeNote === "string" ? node.changeNote.trim() : "";
+    node.tags = Array.isArray(node.tags)
+      ? [...new Set(node.tags.filter((t) => typeof t === "string" && t.trim()).map((t) => t.trim()))]
+      : [];
 
     // Star refs may not have files; keep as {} safely
     node.files = node.files || {};
     node.sourceId = node.sourceId || "";
     node.starredId = node.starredId || "";
+
+    // DAG lineage (optional): `parents` lists all parents (primary first),
+    // `mergedFrom` lists extra ones. Both are read by starRoots.js helpers;
+    // linkDeclaredParents() below files orphans under their first parent.
+    node.parents = Array.isArray(node.parents) ? node.parents : [];
+    node.mergedFrom = Array.isArray(node.mergedFrom) ? node.mergedFrom : [];
+
+    // Cross-links (optional): ids of sketches this one was inspired by
+    node.references = Array.isArray(node.references)
+      ? [...new Set(node.references.filter((id) => typeof id === "string" && id))]
+      : [];
   }
 
+  linkDeclaredParents(state);
   normalizeStarRoots(state);
+
+  // Author layout first, then this visitor's saved branch state on top
+  snapshotAuthorExpanded(state);
+  applyStoredExpanded(state);
 }
 
 // -----------------------------
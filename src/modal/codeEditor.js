@@ -305,6 +305,15 @@ function createEditorWithCache({ mountEl, path, value, onChange, cache }) {
           effects: languageCompartment.reconfigure(newLanguage),
         });
       },
+      // Select a 1-based line and scroll it to the middle of the view
+      scrollToLine: (lineNumber) => {
+        const doc = editorView.state.doc;
+        const line = doc.line(clamp(lineNumber || 1, 1, doc.lines));
+        editorView.dispatch({
+          selection: { anchor: line.from, head: line.to },
+          effects: EditorView.scrollIntoView(line.from, { y: "center" }),
+        });
+      },
       focus: () => editorView.focus(),
       destroy: () => editorView.destroy(),
     };
@@ -399,6 +408,15 @@ function createTextareaEditor({ mountEl, value, onChange, path }) {
       updateLineNumbers();
     },
     setPath: () => {},
+    scrollToLine: (lineNumber) => {
+      const lines = textarea.value.split("\n");
+      const index = Math.max(0, Math.min(lines.length - 1, (lineNumber || 1) - 1));
+      const start = lines.slice(0, index).reduce((n, l) => n + l.length + 1, 0);
+      textarea.setSelectionRange(start, start + lines[index].length);
+
+      const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 18;
+      textarea.scrollTop = Math.max(0, index * lineHeight - textarea.clientHeight / 2);
+    },
     focus: () => textarea.focus(),
     destroy: () => wrapper.remove(),
   };
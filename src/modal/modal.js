@@ -3,7 +3,7 @@
  *
  * - Creates a modal in #modal-root
  * - Mounts a "panel" inside it (panel provides DOM + behavior)
- * - open/close lifecycle
+ * - open/close lifecycle; onClose() runs after every close (Esc, panel, caller)
  *
  * Panel contract:
  *   const panel = createPanel({ mode, nodeId, getNodeDraft, setNodeDraft, onRequestClose })
@@ -12,7 +12,7 @@
  *   panel.onClose?.()
  */
 
-export function createModalManager({ modalRootEl }) {
+export function createModalManager({ modalRootEl, onClose }) {
   const modalEl = document.createElement("div");
   modalEl.className = "modal";
   modalEl.innerHTML = `
@@ -61,6 +61,8 @@ export function createModalManager({ modalRootEl }) {
 
     bodyEl.innerHTML = "";
     footerEl.innerHTML = "";
+
+    onClose?.();
   }
 
   // Escape to close (panel may also close itself)
@@ -70,5 +72,9 @@ export function createModalManager({ modalRootEl }) {
     }
   });
 
-  return { openModal, closeModal, modalEl, bodyEl, footerEl };
+  function isOpen() {
+    return modalEl.classList.contains("open");
+  }
+
+  return { openModal, closeModal, isOpen, modalEl, bodyEl, footerEl };
 }
@@ -9,7 +9,18 @@ import {
 
 const CORE_FILES = new Set(["index.html", "style.css", "sketch.js"]);
 
-export function createViewerPanel({ nodeId, getNode, onRequestClose }) {
+// initialPath / initialLine (1-based): open on that file, scrolled to that line
+// inspiredBy / inspires: cross-linked node ids, listed as links → onNavigate(id)
+export function createViewerPanel({
+  nodeId,
+  getNode,
+  onRequestClose,
+  initialPath,
+  initialLine,
+  inspiredBy = [],
+  inspires = [],
+  onNavigate
+}) {
   const node = getNode(nodeId);
 
   // Viewer should not mutate persistent data: treat as read-only draft.
@@ -54,7 +65,9 @@ export function createViewerPanel({ nodeId, getNode, onRequestClose }) {
   if (!draft.files["style.css"]) draft.files["style.css"] = defaultCss();
   if (!draft.files["sketch.js"]) draft.files["sketch.js"] = defaultSketch();
 
-  let activePath = chooseInitialActivePath(draft.files);
+  let activePath = initialPath && draft.files[initialPath] != null
+    ? initialPath
+    : chooseInitialActivePath(draft.files);
 
   // For temp uploads in viewer mode
   const viewerSessionId = createViewerUploadSessionId();
@@ -91,6 +104,37 @@ export function createViewerPanel({ nodeId, getNode, onRequestClose }) {
   metaBar.appendChild(titleEl);
   metaBar.appendChild(descEl);
 
+  // Cross-links ("Inspired by" / "Inspires")
+  if (inspiredBy.length || inspires.length) {
+    const linksEl = document.createElement("div");
+    linksEl.className = "meta-links";
+    if (inspiredBy.length) linksEl.appendChild(linkGroup("Inspired by", inspiredBy));
+    if (inspires.length) linksEl.appendChild(linkGroup("Inspires", inspires));
+    metaBar.appendChild(linksEl);
+  }
+
+  function linkGroup(label, ids) {
+    const group = document.createElement("div");
+    group.className = "meta-link-group";
+
+    const labelEl = document.createElement("span");
+    labelEl.className = "meta-link-label";
+    labelEl.textContent = label;
+    group.appendChild(labelEl);
+
+    for (const id of ids) {
+      const title = (getNode(id)?.title || "").trim() || id;
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn-mini meta-link";
+      btn.textContent = title;
+      btn.title = `Go to ${title}`;
+      btn.addEventListener("click", () => onNavigate?.(id));
+      group.appendChild(btn);
+    }
+    return group;
+  }
+
   const workspace = document.createElement("div");
   workspace.className = "workspace";
 
@@ -440,6 +484,7 @@ export function createViewerPanel({ nodeId, getNode, onRequestClose }) {
   // --- init ----------------------------------------------------
   (async () => {
     await initEditor();
+    if (initialLine && codeEditor?.scrollToLine) codeEditor.scrollToLine(initialLine);
     rebuildTreeUI();
     runPreview();
   })();
@@ -0,0 +1,96 @@
+// src/siteMeta.js
+
+/**
+ * Site metadata (the `site` block of sketches.json).
+ *
+ * {
+ *   "site": {
+ *     "title": "the Nature of Code",
+ *     "author": "…", "affiliation": "…", "term": "…",
+ *     "description": "…",
+ *     "links": [{ "label": "GitHub", "href": "https://…" }],
+ *     "accentColor": "#f5c542"
+ *   }
+ * }
+ *
+ * Every field is optional; missing ones fall back to SITE_DEFAULTS (config.js)
+ * and empty tag lines are simply left out.
+ */
+
+import { SITE_DEFAULTS } from "./config.js";
+
+export function normalizeSiteMeta(raw) {
+  const site = raw && typeof raw === "object" ? raw : {};
+
+  return {
+    title: text(site.title) || SITE_DEFAULTS.title,
+    author: text(site.author) || SITE_DEFAULTS.author,
+    affiliation: text(site.affiliation) || SITE_DEFAULTS.affiliation,
+    term: text(site.term) || SITE_DEFAULTS.term,
+    description: text(site.description),
+    links: normalizeLinks(site.links),
+    accentColor: text(site.accentColor) || SITE_DEFAULTS.accentColor
+  };
+}
+
+// Lines for the small tag beside the world header (author / affiliation / term)
+export function getSiteTagLines(site) {
+  return [site.author, site.affiliation, site.term].filter(Boolean);
+}
+
+/**
+ * Page-level metadata: document.title, <meta> tags and the --accent CSS var.
+ */
+export function applySiteMeta(site, doc = document) {
+  doc.title = site.title;
+
+  const description = site.description || [site.title, ...getSiteTagLines(site)].join(" · ");
+  setMeta(doc, "name", "description", description);
+  setMeta(doc, "name", "author", site.author);
+  setMeta(doc, "property", "og:title", site.title);
+  setMeta(doc, "property", "og:description", description);
+  setMeta(doc, "name", "theme-color", site.accentColor);
+
+  if (site.accentColor) doc.documentElement.style.setProperty("--accent", site.accentColor);
+  else doc.documentElement.style.removeProperty("--accent");
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+// Accepts [{ label, href }] (or `title` / `url`), or { label: href }
+function normalizeLinks(links) {
+  const list = Array.isArray(links)
+    ? links
+    : links && typeof links === "object"
+      ? Object.entries(links).map(([label, href]) => ({ label, href }))
+      : [];
+
+  return list
+    .map((l) => ({
+      label: text(l?.label) || text(l?.title) || text(l?.href) || text(l?.url),
+      href: text(l?.href) || text(l?.url)
+    }))
+    .filter((l) => l.href);
+}
+
+function setMeta(doc, attr, key, content) {
+  let el = doc.head.querySelector(`meta[${attr}="${key}"]`);
+
+  if (!content) {
+    el?.remove();
+    return;
+  }
+
+  if (!el) {
+    el = doc.createElement("meta");
+    el.setAttribute(attr, key);
+    doc.head.appendChild(el);
+  }
+  el.setAttribute("content", content);
+}
+
+function text(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
@@ -0,0 +1,114 @@
+// src/tree/codeSearch.js
+
+/**
+ * Full-text search across every sketch's `node.files`.
+ *
+ * - Plain text (default) or regex queries, optionally case-sensitive
+ * - File filter: comma/space separated names or globs ("sketch.js, *.css");
+ *   a pattern without "*" matches as a substring of the path
+ * - Uploaded assets (`#UPLOADED_FILE#…#` markers) have no source and are skipped,
+ *   as are star tiles (they mirror their source node's files)
+ *
+ * Regex patterns are capped at MAX_REGEX_LENGTH; the panel runs them in a
+ * worker (codeSearchWorker.js) so a runaway pattern can't hang the page.
+ *
+ * Hits are line based: { nodeId, path, line, column, length, text, before, after }
+ * with `line`/`column` 1-based and `before`/`after` holding context lines.
+ */
+
+import { isStarRootNode } from "./starRoots.js";
+
+export const UPLOADED_FILE_MARKER = "#UPLOADED_FILE#";
+
+export const MAX_REGEX_LENGTH = 200;
+
+export function searchCode(state, {
+  query,
+  regex = false,
+  caseSensitive = false,
+  fileFilter = "",
+  contextLines = 1,
+  limit = 500
+} = {}) {
+  if (!query) return { hits: [], truncated: false, error: null };
+
+  if (regex && query.length > MAX_REGEX_LENGTH) {
+    return { hits: [], truncated: false, error: `longer than ${MAX_REGEX_LENGTH} characters` };
+  }
+
+  let pattern;
+  try {
+    const source = regex ? query : escapeRegExp(query);
+    pattern = new RegExp(source, caseSensitive ? "g" : "gi");
+  } catch (e) {
+    return { hits: [], truncated: false, error: e.message };
+  }
+
+  const matchesPath = compileFileFilter(fileFilter);
+  const hits = [];
+
+  for (const [nodeId, node] of Object.entries(state.nodes || {})) {
+    if (!node || node.kind === "star" || isStarRootNode(node, nodeId)) continue;
+
+    for (const [path, content] of Object.entries(node.files || {})) {
+      if (typeof content !== "string" || content.startsWith(UPLOADED_FILE_MARKER)) continue;
+      if (!matchesPath(path)) continue;
+
+      const lines = content.split("\n");
+      for (let i = 0; i < lines.length; i++) {
+        const match = firstMatch(pattern, lines[i]);
+        if (!match) continue;
+
+        hits.push({
+          nodeId,
+          path,
+          line: i + 1,
+          column: match.index + 1,
+          length: match.length,
+          text: lines[i],
+          before: lines.slice(Math.max(0, i - contextLines), i),
+          after: lines.slice(i + 1, i + 1 + contextLines)
+        });
+
+        if (hits.length >= limit) return { hits, truncated: true, error: null };
+      }
+    }
+  }
+
+  return { hits, truncated: false, error: null };
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function firstMatch(pattern, line) {
+  pattern.lastIndex = 0;
+  const m = pattern.exec(line);
+  if (!m) return null;
+  // Zero-width regex hits (e.g. "^") still mark one column
+  return { index: m.index, length: Math.max(1, m[0].length) };
+}
+
+function compileFileFilter(filter) {
+  const parts = String(filter || "")
+    .split(/[,\s]+/)
+    .map((p) => p.trim().toLowerCase())
+    .filter(Boolean);
+  if (parts.length === 0) return () => true;
+
+  const tests = parts.map((p) => {
+    if (!p.includes("*")) return (path) => path.includes(p);
+    const re = new RegExp(`^${p.split("*").map(escapeRegExp).join(".*")}$`);
+    return (path) => re.test(path) || re.test(path.split("/").pop());
+  });
+
+  return (path) => {
+    const lower = path.toLowerCase();
+    return tests.some((t) => t(lower));
+  };
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,282 @@
+// src/tree/codeSearchPanel.js
+
+/**
+ * Code search side panel (viewer). Ctrl/Cmd+Shift+F toggles it.
+ *
+ * Query + regex / case toggles + file filter; hits are grouped per sketch and
+ * show file:line with a line of context either side. onOpenHit(hit) is called
+ * when a hit is clicked (main.js opens the viewer panel at that line).
+ *
+ * Regex queries run in a worker (codeSearchWorker.js): one still running after
+ * REGEX_TIMEOUT_MS (catastrophic backtracking) is terminated and reported.
+ *
+ * getParentIndex() supplies the current render's starRoots.buildParentIndex
+ * map, so naming each group's root doesn't rescan every node.
+ */
+
+import { searchCode } from "./codeSearch.js";
+import { findRootForNode } from "./starRoots.js";
+
+const SEARCH_DELAY_MS = 150;
+const REGEX_TIMEOUT_MS = 2000;
+
+export function createCodeSearchPanel({ state, getParentIndex, onOpenHit, isBlocked }) {
+  const el = document.createElement("div");
+  el.className = "code-search";
+  el.hidden = true;
+  el.innerHTML = `
+    <div class="code-search-header">
+      <div class="code-search-title">Search code</div>
+      <button type="button" class="btn btn-mini code-search-close" title="Close (Esc)">×</button>
+    </div>
+    <input class="code-search-query" type="search" placeholder="e.g. p5.Vector.fromAngle" autocomplete="off" spellcheck="false" />
+    <div class="code-search-options">
+      <label><input type="checkbox" class="code-search-regex" /> Regex</label>
+      <label><input type="checkbox" class="code-search-case" /> Match case</label>
+      <input class="code-search-files" type="text" placeholder="files, e.g. *.js" autocomplete="off" spellcheck="false" />
+    </div>
+    <div class="code-search-status"></div>
+    <div class="code-search-results"></div>
+  `;
+
+  const queryEl = el.querySelector(".code-search-query");
+  const regexEl = el.querySelector(".code-search-regex");
+  const caseEl = el.querySelector(".code-search-case");
+  const filesEl = el.querySelector(".code-search-files");
+  const statusEl = el.querySelector(".code-search-status");
+  const resultsEl = el.querySelector(".code-search-results");
+
+  let timer = null;
+  let runId = 0;
+  const regexSearch = createRegexSearch(state);
+
+  function open() {
+    el.hidden = false;
+    queryEl.focus();
+    queryEl.select();
+  }
+
+  function close() {
+    el.hidden = true;
+  }
+
+  function toggle() {
+    if (el.hidden) open();
+    else close();
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(run, SEARCH_DELAY_MS);
+  }
+
+  function run() {
+    clearTimeout(timer);
+    timer = null;
+
+    const id = ++runId;
+    const options = {
+      query: queryEl.value,
+      regex: regexEl.checked,
+      caseSensitive: caseEl.checked,
+      fileFilter: filesEl.value
+    };
+
+    if (!options.regex || !options.query) {
+      show(options.query, searchCode(state, options));
+      return;
+    }
+
+    statusEl.textContent = "Searching…";
+    regexSearch.search(options).then((result) => {
+      // A newer query may have been typed meanwhile
+      if (id === runId) show(options.query, result);
+    });
+  }
+
+  function show(query, { hits, truncated, error, timedOut = false }) {
+    resultsEl.replaceChildren();
+    queryEl.classList.toggle("is-invalid", !!error || timedOut);
+
+    if (timedOut) {
+      statusEl.textContent = `Regex took longer than ${REGEX_TIMEOUT_MS / 1000}s, try a simpler pattern`;
+      return;
+    }
+    if (error) {
+      statusEl.textContent = `Invalid regex: ${error}`;
+      return;
+    }
+    if (!query) {
+      statusEl.textContent = "";
+      return;
+    }
+
+    const sketchCount = new Set(hits.map((h) => h.nodeId)).size;
+    statusEl.textContent = hits.length === 0
+      ? "No matches"
+      : `${hits.length}${truncated ? "+" : ""} ${hits.length === 1 ? "match" : "matches"} in ${sketchCount} ${sketchCount === 1 ? "sketch" : "sketches"}`;
+
+    let groupEl = null;
+    let groupId = null;
+    for (const hit of hits) {
+      if (hit.nodeId !== groupId) {
+        groupId = hit.nodeId;
+        groupEl = createGroup(hit.nodeId);
+        resultsEl.appendChild(groupEl);
+      }
+      groupEl.appendChild(createHit(hit));
+    }
+  }
+
+  function createGroup(nodeId) {
+    const node = state.nodes[nodeId];
+    const rootId = findRootForNode(state, nodeId, getParentIndex?.());
+
+    const group = document.createElement("div");
+    group.className = "code-search-group";
+
+    const header = document.createElement("div");
+    header.className = "code-search-group-title";
+    header.textContent = (node?.title || "").trim() || nodeId;
+
+    const meta = document.createElement("span");
+    meta.className = "code-search-group-meta";
+    meta.textContent = [nodeId, rootId ? state.nodes[rootId]?.title : ""].filter(Boolean).join(" · ");
+    header.appendChild(meta);
+
+    group.appendChild(header);
+    return group;
+  }
+
+  function createHit(hit) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "code-search-hit";
+    btn.title = `Open ${hit.path} at line ${hit.line}`;
+
+    const loc = document.createElement("div");
+    loc.className = "code-search-loc";
+    loc.textContent = `${hit.path}:${hit.line}`;
+    btn.appendChild(loc);
+
+    const code = document.createElement("pre");
+    code.className = "code-search-snippet";
+    for (const line of hit.before) code.appendChild(contextLine(line));
+
+    const hitLine = document.createElement("div");
+    hitLine.className = "code-search-line is-hit";
+    const start = hit.column - 1;
+    const mark = document.createElement("mark");
+    mark.textContent = hit.text.slice(start, start + hit.length);
+    hitLine.append(hit.text.slice(0, start), mark, hit.text.slice(start + hit.length));
+    code.appendChild(hitLine);
+
+    for (const line of hit.after) code.appendChild(contextLine(line));
+    btn.appendChild(code);
+
+    btn.addEventListener("click", () => onOpenHit?.(hit));
+    return btn;
+  }
+
+  queryEl.addEventListener("input", schedule);
+  filesEl.addEventListener("input", schedule);
+  regexEl.addEventListener("change", run);
+  caseEl.addEventListener("change", run);
+  el.querySelector(".code-search-close").addEventListener("click", close);
+
+  el.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    e.stopPropagation();
+    close();
+  });
+
+  window.addEventListener("keydown", (e) => {
+    if (!(e.metaKey || e.ctrlKey) || !e.shiftKey || (e.key || "").toLowerCase() !== "f") return;
+    if (isBlocked?.()) return;
+    e.preventDefault();
+    toggle();
+  });
+
+  return { el, open, close, toggle, isOpen: () => !el.hidden };
+}
+
+// Regex searches run in a worker that's terminated (and respawned on the next
+// search) if it overruns REGEX_TIMEOUT_MS or a newer search replaces it
+function createRegexSearch(state) {
+  let worker = null;
+  let sentNodes = null;   // state.nodes the worker has a copy of
+  let pending = null;     // { id, resolve, timer }
+  let nextId = 0;
+
+  function spawn() {
+    worker = new Worker(new URL("./codeSearchWorker.js", import.meta.url), { type: "module" });
+    sentNodes = null;
+
+    worker.addEventListener("message", (e) => {
+      if (pending && e.data?.id === pending.id) finish(e.data.result);
+    });
+    worker.addEventListener("error", () => {
+      kill();
+      finish({ hits: [], truncated: false, error: "search failed" });
+    });
+  }
+
+  function kill() {
+    worker?.terminate();
+    worker = null;
+  }
+
+  function finish(result) {
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    const { resolve } = pending;
+    pending = null;
+    resolve(result);
+  }
+
+  function search(options) {
+    if (typeof Worker === "undefined") return Promise.resolve(searchCode(state, options));
+
+    // Whatever is still running may be the runaway pattern: start afresh
+    if (pending) {
+      kill();
+      finish({ hits: [], truncated: false, error: null });
+    }
+    if (!worker) spawn();
+
+    // Files don't change after load; resend only if the data was (re)loaded
+    if (sentNodes !== state.nodes) {
+      sentNodes = state.nodes;
+      worker.postMessage({ type: "nodes", nodes: pickSearchFields(state.nodes) });
+    }
+
+    return new Promise((resolve) => {
+      const id = ++nextId;
+      const timer = setTimeout(() => {
+        kill();
+        finish({ hits: [], truncated: false, error: null, timedOut: true });
+      }, REGEX_TIMEOUT_MS);
+
+      pending = { id, resolve, timer };
+      worker.postMessage({ type: "search", id, options });
+    });
+  }
+
+  return { search };
+}
+
+// What searchCode reads of each node (kind + files), without the rest
+function pickSearchFields(nodes) {
+  const out = {};
+  for (const [id, node] of Object.entries(nodes || {})) {
+    if (node) out[id] = { kind: node.kind, files: node.files };
+  }
+  return out;
+}
+
+function contextLine(text) {
+  const line = document.createElement("div");
+  line.className = "code-search-line";
+  line.textContent = text;
+  return line;
+}
@@ -0,0 +1,24 @@
+// src/tree/codeSearchWorker.js
+
+/**
+ * Code search worker: runs regex searches (codeSearch.js) off the main thread,
+ * so the panel can terminate one that backtracks for too long.
+ *
+ * In:  { type: "nodes", nodes }          sketch kinds + files, sent before searches
+ *      { type: "search", id, options }   searchCode() options
+ * Out: { id, result }
+ */
+
+import { searchCode } from "./codeSearch.js";
+
+let state = { nodes: {} };
+
+self.addEventListener("message", (e) => {
+  const msg = e.data || {};
+
+  if (msg.type === "nodes") {
+    state = { nodes: msg.nodes || {} };
+  } else if (msg.type === "search") {
+    self.postMessage({ id: msg.id, result: searchCode(state, msg.options) });
+  }
+});
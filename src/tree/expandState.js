@@ -0,0 +1,161 @@
+/**
+ * Per-visitor branch expand/collapse state (viewer mode).
+ *
+ * sketches.json ships the author's `expandedChildren` for every node. Visitors
+ * can open or fold branches on top of that; only the nodes whose set differs
+ * from the author's are persisted, so later data updates still flow through
+ * for everything the visitor never touched.
+ *
+ * Stored shape (localStorage):
+ * { version: 1, nodes: { [nodeId]: [childId, ...] } }
+ */
+
+import { findParentColumnId } from "./starRoots.js";
+
+const STORAGE_KEY = "natureOfCode:expandedChildren";
+const STORAGE_VERSION = 1;
+
+export function snapshotAuthorExpanded(state) {
+  for (const node of Object.values(state.nodes || {})) {
+    node.authorExpandedChildren = new Set(toSet(node.expandedChildren));
+  }
+}
+
+export function applyStoredExpanded(state) {
+  const stored = readStore();
+
+  for (const [id, kids] of Object.entries(stored)) {
+    const node = state.nodes[id];
+    if (!node || !Array.isArray(kids)) continue;
+
+    // Ignore children that no longer exist under this node
+    const valid = kids.filter((cid) => node.children?.includes(cid) && state.nodes[cid]);
+    node.expandedChildren = new Set(valid);
+  }
+}
+
+export function isBranchExpanded(state, parentId, childId) {
+  return toSet(state.nodes[parentId]?.expandedChildren).has(childId);
+}
+
+export function setBranchExpanded(state, parentId, childId, expanded) {
+  const node = state.nodes[parentId];
+  if (!node || !node.children?.includes(childId)) return false;
+
+  const set = toSet(node.expandedChildren);
+  if (expanded) set.add(childId);
+  else set.delete(childId);
+  node.expandedChildren = set;
+
+  persist(state);
+  return true;
+}
+
+export function toggleBranch(state, parentId, childId) {
+  return setBranchExpanded(
+    state,
+    parentId,
+    childId,
+    !isBranchExpanded(state, parentId, childId)
+  );
+}
+
+/**
+ * Open every collapsed branch between `nodeId` and its root (primary parents),
+ * so its tile is laid out. Returns true if anything changed.
+ */
+export function revealNode(state, nodeId) {
+  let changed = false;
+  let current = findParentColumnId(state, nodeId);
+  const seen = new Set();
+
+  // The column showing `current`'s children needs `current` open in its parent
+  while (current && !seen.has(current)) {
+    seen.add(current);
+    const parentId = findParentColumnId(state, current);
+    if (!parentId) break;
+
+    if (!isBranchExpanded(state, parentId, current)) {
+      const node = state.nodes[parentId];
+      node.expandedChildren = new Set(toSet(node.expandedChildren)).add(current);
+      changed = true;
+    }
+    current = parentId;
+  }
+
+  if (changed) persist(state);
+  return changed;
+}
+
+export function hasExpandedOverrides(state) {
+  return Object.keys(collectOverrides(state)).length > 0;
+}
+
+export function resetExpandedToAuthor(state) {
+  for (const node of Object.values(state.nodes || {})) {
+    node.expandedChildren = new Set(toSet(node.authorExpandedChildren));
+  }
+
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (_) { }
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function collectOverrides(state) {
+  const overrides = {};
+
+  for (const [id, node] of Object.entries(state.nodes || {})) {
+    const current = toSet(node.expandedChildren);
+    const author = toSet(node.authorExpandedChildren);
+    if (sameSet(current, author)) continue;
+    overrides[id] = [...current];
+  }
+
+  return overrides;
+}
+
+function persist(state) {
+  const overrides = collectOverrides(state);
+
+  try {
+    if (Object.keys(overrides).length === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+      return;
+    }
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: STORAGE_VERSION, nodes: overrides })
+    );
+  } catch (_) {
+    // Private mode / quota: state just won't survive a reload
+  }
+}
+
+function readStore() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return {};
+    const data = JSON.parse(raw);
+    if (data?.version !== STORAGE_VERSION) return {};
+    return data.nodes && typeof data.nodes === "object" ? data.nodes : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function sameSet(a, b) {
+  if (a.size !== b.size) return false;
+  for (const v of a) if (!b.has(v)) return false;
+  return true;
+}
+
+function toSet(v) {
+  if (!v) return new Set();
+  if (v instanceof Set) return v;
+  if (Array.isArray(v)) return new Set(v);
+  return new Set();
+}
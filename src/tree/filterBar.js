@@ -0,0 +1,80 @@
+// src/tree/filterBar.js
+
+/**
+ * Tag filter bar (viewer, fixed to the window).
+ *
+ * One toggle chip per tag, a dim/hide mode switch and a clear button.
+ * Edits `selection` ({ tags: Set, mode: "dim" | "hide" }) in place and calls
+ * onChange(); the caller re-renders with computeTagFilter(state, selection).
+ */
+
+import { getTagColor } from "./tagFilter.js";
+
+export function createFilterBar({ tags, selection, onChange }) {
+  const el = document.createElement("div");
+  el.className = "filter-bar";
+  el.hidden = tags.length === 0;
+
+  const chipsEl = document.createElement("div");
+  chipsEl.className = "filter-bar-tags";
+  el.appendChild(chipsEl);
+
+  const chips = new Map();
+  for (const tag of tags) {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "filter-chip";
+    chip.style.setProperty("--tag-color", getTagColor(tag));
+    chip.textContent = tag;
+    chip.addEventListener("click", () => {
+      if (selection.tags.has(tag)) selection.tags.delete(tag);
+      else selection.tags.add(tag);
+      sync();
+      onChange?.();
+    });
+    chipsEl.appendChild(chip);
+    chips.set(tag, chip);
+  }
+
+  const modeBtn = document.createElement("button");
+  modeBtn.type = "button";
+  modeBtn.className = "btn btn-pill filter-mode";
+  modeBtn.addEventListener("click", () => {
+    selection.mode = selection.mode === "hide" ? "dim" : "hide";
+    sync();
+    onChange?.();
+  });
+  el.appendChild(modeBtn);
+
+  const clearBtn = document.createElement("button");
+  clearBtn.type = "button";
+  clearBtn.className = "btn btn-pill";
+  clearBtn.textContent = "Clear";
+  clearBtn.addEventListener("click", () => {
+    selection.tags.clear();
+    sync();
+    onChange?.();
+  });
+  el.appendChild(clearBtn);
+
+  function sync() {
+    for (const [tag, chip] of chips) {
+      const on = selection.tags.has(tag);
+      chip.classList.toggle("is-active", on);
+      chip.setAttribute("aria-pressed", String(on));
+    }
+
+    const hide = selection.mode === "hide";
+    modeBtn.textContent = hide ? "Hide others" : "Dim others";
+    modeBtn.title = hide
+      ? "Non-matching sketches are removed (click to dim instead)"
+      : "Non-matching sketches are faded (click to hide instead)";
+
+    const active = selection.tags.size > 0;
+    modeBtn.disabled = !active;
+    clearBtn.disabled = !active;
+  }
+
+  sync();
+  return { el, sync };
+}
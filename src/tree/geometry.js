@@ -0,0 +1,184 @@
+/**
+ * World-space geometry helpers shared by render + wires.
+ *
+ * layout.pos gives each column's box; these helpers find individual tile
+ * rects inside a column and the anchor points wires attach to, honouring
+ * layout.metrics.orientation ("ltr" | "ttb" | "rtl") and radial layouts
+ * (layout.metrics.mode === "radial").
+ */
+
+import { findParentColumnId } from "./starRoots.js";
+
+export function getOrientation(layout) {
+  return layout?.metrics?.orientation || "ltr";
+}
+
+/**
+ * Rect of the tile showing `childId` inside column `colId`.
+ * Uses the column's per-row offsets/sizes from layout (tiles can differ in size).
+ * Returns { x, y, w, h } in world space, or null if it isn't laid out.
+ */
+export function getRowRect(layout, colId, childId) {
+  const p = layout.pos[colId];
+  const row = p?.rows?.find((r) => r.id === childId);
+  if (!row) return null;
+  return rowToRect(layout, p, row);
+}
+
+/**
+ * Where wires enter a column: its first tile (or a nominal tile slot when empty).
+ */
+export function getColumnEntryRect(layout, colId) {
+  const p = layout.pos[colId];
+  if (!p) return null;
+
+  const row = p.rows?.[0] || { offset: 0, size: layout.metrics.nodeSize };
+  return rowToRect(layout, p, row);
+}
+
+// Rect of the tile that displays `nodeId` (in its primary parent's column)
+export function getNodeTileRect(state, layout, nodeId) {
+  const parentId = findParentColumnId(state, nodeId, layout.parentIndex);
+  if (!parentId || !layout.pos[parentId]) return null;
+
+  return getRowRect(layout, parentId, nodeId);
+}
+
+function rowToRect(layout, p, row) {
+  const { offset, size } = row;
+  const orientation = getOrientation(layout);
+
+  if (orientation === "ttb") {
+    return { x: p.x + offset, y: p.yTop, w: size, h: size };
+  }
+
+  // Mirrored columns align tiles to the parent-facing (right) edge
+  const x = orientation === "rtl" ? p.x + p.width - size : p.x;
+  return { x, y: p.yTop + offset, w: size, h: size };
+}
+
+export function isRadialLayout(layout) {
+  return layout?.metrics?.mode === "radial";
+}
+
+/**
+ * Wire endpoints from a parent-side tile to a child-side tile.
+ * `axis` is the direction wire tangents leave/enter along ("x" | "y"), or
+ * "radial" (tile centres, with `center` for the curve's polar frame).
+ */
+export function getWireAnchors(layout, fromRect, toRect) {
+  if (isRadialLayout(layout)) {
+    return {
+      x1: fromRect.x + fromRect.w / 2,
+      y1: fromRect.y + fromRect.h / 2,
+      x2: toRect.x + toRect.w / 2,
+      y2: toRect.y + toRect.h / 2,
+      axis: "radial",
+      center: layout.metrics.center
+    };
+  }
+
+  const orientation = getOrientation(layout);
+
+  if (orientation === "ttb") {
+    return {
+      x1: fromRect.x + fromRect.w / 2,
+      y1: fromRect.y + fromRect.h,
+      x2: toRect.x + toRect.w / 2,
+      y2: toRect.y,
+      axis: "y"
+    };
+  }
+
+  if (orientation === "rtl") {
+    return {
+      x1: fromRect.x,
+      y1: fromRect.y + fromRect.h / 2,
+      x2: toRect.x + toRect.w,
+      y2: toRect.y + toRect.h / 2,
+      axis: "x"
+    };
+  }
+
+  return {
+    x1: fromRect.x + fromRect.w,
+    y1: fromRect.y + fromRect.h / 2,
+    x2: toRect.x,
+    y2: toRect.y + toRect.h / 2,
+    axis: "x"
+  };
+}
+
+/**
+ * Glyphs for "open branch" / "close branch" buttons, pointing along the depth axis.
+ */
+export function getBranchGlyphs(orientation) {
+  if (orientation === "ttb") return { open: "↓", close: "↑" };
+  if (orientation === "rtl") return { open: "←", close: "→" };
+  return { open: "→", close: "←" };
+}
+
+// World bounds { x, y, w, h } of every laid-out column (star columns included), or null
+export function getLayoutBounds(layout) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (const p of Object.values(layout?.pos || {})) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.yTop);
+    maxX = Math.max(maxX, p.x + p.width);
+    maxY = Math.max(maxY, p.yTop + p.height);
+  }
+
+  if (minX === Infinity) return null;
+  return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+/**
+ * World bounds of column `colId` and every column expanded below it, plus the
+ * star tiles (2×, in their star columns) of any sketch shown there. Null if
+ * the column isn't laid out.
+ */
+export function getSubtreeBounds(state, layout, colId) {
+  let bounds = null;
+  const stack = [colId];
+  const seen = new Set();
+
+  while (stack.length) {
+    const id = stack.pop();
+    const p = layout?.pos?.[id];
+    if (!p || seen.has(id)) continue;
+    seen.add(id);
+
+    bounds = unionRects(bounds, { x: p.x, y: p.yTop, w: p.width, h: p.height });
+
+    for (const row of p.rows || []) {
+      if (layout.pos[row.id]) stack.push(row.id);
+
+      const starId = state.nodes[row.id]?.starredId;
+      const starRect = starId ? getNodeTileRect(state, layout, starId) : null;
+      bounds = unionRects(bounds, starRect);
+    }
+  }
+
+  return bounds;
+}
+
+export function unionRects(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    w: Math.max(a.x + a.w, b.x + b.w) - x,
+    h: Math.max(a.y + a.h, b.y + b.h) - y
+  };
+}
+
+export function rectsIntersect(a, b) {
+  return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+}
@@ -0,0 +1,165 @@
+// src/tree/hoverCard.js
+
+/**
+ * Hover card for normal tiles (viewer).
+ *
+ * One fixed-position card lives on <body>, outside the pan/zoom transform, and
+ * is placed from the hovered tile's getBoundingClientRect(), so it lands right
+ * at any pan/zoom. Tiles are found by delegation on viewportEl (tiles come and
+ * go with culling / reconciliation), keyed by their data-node-id.
+ *
+ * Shows: title, description, file list, child count, starred state, root/week.
+ * getParentIndex() supplies the current render's starRoots.buildParentIndex
+ * map for the root lookup.
+ */
+
+import { findRootForNode } from "./starRoots.js";
+
+const SHOW_DELAY_MS = 250;
+const GAP_PX = 12;
+const EDGE_PX = 8;
+
+export function attachHoverCard({ viewportEl, state, getParentIndex }) {
+  const cardEl = document.createElement("div");
+  cardEl.className = "hover-card";
+  cardEl.setAttribute("role", "tooltip");
+  cardEl.hidden = true;
+  document.body.appendChild(cardEl);
+
+  let tileEl = null;
+  let showTimer = null;
+
+  // --- events ---------------------------------------------------
+
+  function onOver(e) {
+    const tile = findTile(e.target);
+    if (!tile || tile === tileEl) return;
+
+    hide();
+    tileEl = tile;
+    showTimer = setTimeout(show, SHOW_DELAY_MS);
+  }
+
+  function onOut(e) {
+    if (!tileEl) return;
+    // Moving between a tile's own children isn't leaving it
+    if (e.relatedTarget && tileEl.contains(e.relatedTarget)) return;
+    hide();
+  }
+
+  viewportEl.addEventListener("mouseover", onOver);
+  viewportEl.addEventListener("mouseout", onOut);
+  // Panning / clicking through to the modal
+  viewportEl.addEventListener("mousedown", hide);
+
+  // --- card -----------------------------------------------------
+
+  function show() {
+    showTimer = null;
+    const nodeId = tileEl?.dataset.nodeId;
+    const node = nodeId ? state.nodes[nodeId] : null;
+    if (!node || !tileEl.isConnected) {
+      hide();
+      return;
+    }
+
+    fill(node, nodeId);
+    cardEl.hidden = false;
+    reposition();
+  }
+
+  function hide() {
+    if (showTimer) {
+      clearTimeout(showTimer);
+      showTimer = null;
+    }
+    tileEl = null;
+    cardEl.hidden = true;
+  }
+
+  function fill(node, nodeId) {
+    cardEl.replaceChildren();
+
+    const rootId = findRootForNode(state, nodeId, getParentIndex?.());
+    const rootTitle = rootId ? (state.nodes[rootId]?.title || rootId) : "";
+    if (rootTitle) {
+      cardEl.appendChild(el("div", "hover-card-week", rootTitle));
+    }
+
+    cardEl.appendChild(el("div", "hover-card-title", node.title?.trim() || node.label || nodeId));
+
+    if (node.description?.trim()) {
+      cardEl.appendChild(el("div", "hover-card-desc", node.description.trim()));
+    }
+
+    const files = Object.keys(node.files || {});
+    if (files.length) {
+      const list = el("ul", "hover-card-files");
+      for (const name of files) list.appendChild(el("li", "", name));
+      cardEl.appendChild(list);
+    }
+
+    const childCount = (node.children || []).filter((cid) => state.nodes[cid]).length;
+    const starred = !!node.starredId && !!state.nodes[node.starredId];
+
+    const meta = el("div", "hover-card-meta");
+    meta.appendChild(el("span", "", `${childCount} ${childCount === 1 ? "child" : "children"}`));
+    if (starred) meta.appendChild(el("span", "hover-card-starred", "★ Starred"));
+    cardEl.appendChild(meta);
+  }
+
+  // Beside the tile (right, else left), clamped to the window
+  function reposition() {
+    if (cardEl.hidden || !tileEl) return;
+    if (!tileEl.isConnected) {
+      hide();
+      return;
+    }
+
+    const t = tileEl.getBoundingClientRect();
+    const c = cardEl.getBoundingClientRect();
+    const vw = window.innerWidth;
+    const vh = window.innerHeight;
+
+    let left = t.right + GAP_PX;
+    if (left + c.width > vw - EDGE_PX) left = t.left - GAP_PX - c.width;
+    left = clamp(left, EDGE_PX, Math.max(EDGE_PX, vw - EDGE_PX - c.width));
+
+    const top = clamp(t.top, EDGE_PX, Math.max(EDGE_PX, vh - EDGE_PX - c.height));
+
+    cardEl.style.left = `${Math.round(left)}px`;
+    cardEl.style.top = `${Math.round(top)}px`;
+  }
+
+  function destroy() {
+    hide();
+    viewportEl.removeEventListener("mouseover", onOver);
+    viewportEl.removeEventListener("mouseout", onOut);
+    viewportEl.removeEventListener("mousedown", hide);
+    cardEl.remove();
+  }
+
+  return { reposition, hide, destroy };
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+// Normal tiles only: star tiles have their own live hover preview
+function findTile(target) {
+  const tile = target?.closest?.(".square[data-node-id]");
+  if (!tile || tile.classList.contains("star-square")) return null;
+  return tile;
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function clamp(v, a, b) {
+  return Math.max(a, Math.min(b, v));
+}
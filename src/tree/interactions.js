@@ -1,12 +1,28 @@
 // src/tree/interactions.js
 
+// Pointer travel (px) below which a press counts as a tap / click, not a drag
+const TAP_SLOP_PX = 6;
+
+// Momentum after a pan: release velocity from the last VELOCITY_WINDOW_MS of
+// movement, decaying by FRICTION per 60fps frame until below STOP_SPEED
+const VELOCITY_WINDOW_MS = 100;
+const FRICTION = 0.92;
+const MIN_FLING_SPEED = 0.1;  // px/ms
+const STOP_SPEED = 0.01;      // px/ms
+
+// Wheel zoom eases toward its target: share of the gap closed per 60fps frame
+const WHEEL_EASE = 0.25;
+
+const FRAME_MS = 1000 / 60;
+
 export function attachPanZoom({
   canvasEl,
   viewportEl,
   wiresEl,
   state,
   minZoom,
-  maxZoom
+  maxZoom,
+  onChange                   // () => void, after every transform change
 }) {
   let enabled = true;
 
@@ -14,10 +30,22 @@ export function attachPanZoom({
   let zoomMin = typeof minZoom === "number" ? minZoom : 0.25;
   let zoomMax = typeof maxZoom === "number" ? maxZoom : 2.5;
 
-  let isPanning = false;
-  let last = { x: 0, y: 0 };
+  // Active pointers (id -> client x/y) for pan + pinch; a gesture that stays
+  // within TAP_SLOP_PX of where it started is a tap and its click goes through
+  const pointers = new Map();
+  let gestureStart = { x: 0, y: 0 };
+  let dragged = false;
+  let suppressClick = false;
+
+  // Recent single-pointer pan positions { t, x, y } (fling velocity)
+  let panSamples = [];
 
+  // One camera animation at a time: animateTo's tween, or a "motion" that
+  // input starts (inertia | wheel zoom) and any new input cancels
   let animRaf = null;
+  let motion = null;
+  let wheelTarget = null;     // { zoom, x, y } (canvas-local anchor)
+  let tweenLocked = false;    // the running animateTo turned input off
 
   function clamp(v, a, b) {
     return Math.max(a, Math.min(b, v));
@@ -31,6 +59,19 @@ export function attachPanZoom({
     const t = `translate(${state.pan.x}px, ${state.pan.y}px) scale(${state.zoom})`;
     viewportEl.style.transform = t;
     wiresEl.style.transform = t;
+    onChange?.();
+  }
+
+  // Visible world-space rect, optionally grown by a screen-space margin
+  function getViewRect(marginPx = 0) {
+    const r = canvasEl.getBoundingClientRect();
+    const z = state.zoom || 1;
+    return {
+      x: (-state.pan.x - marginPx) / z,
+      y: (-state.pan.y - marginPx) / z,
+      w: (r.width + marginPx * 2) / z,
+      h: (r.height + marginPx * 2) / z
+    };
   }
 
   function cancelAnimation() {
@@ -38,11 +79,51 @@ export function attachPanZoom({
       cancelAnimationFrame(animRaf);
       animRaf = null;
     }
+    motion = null;
+    wheelTarget = null;
+
+    // A locked tween cut short never reaches its last frame: hand input back
+    if (tweenLocked) {
+      tweenLocked = false;
+      setEnabled(true);
+    }
+  }
+
+  // Stop inertia / wheel easing, but not an animateTo tween
+  function stopMotion() {
+    if (motion) cancelAnimation();
+  }
+
+  // Run step(dtMs) every frame on animRaf until it returns false
+  function startMotion(kind, step) {
+    cancelAnimation();
+    motion = kind;
+
+    let lastT = performance.now();
+    function frame(now) {
+      const dt = Math.min(64, Math.max(1, now - lastT));
+      lastT = now;
+
+      const keepGoing = step(dt);
+      applyTransform();
+
+      if (keepGoing) {
+        animRaf = requestAnimationFrame(frame);
+      } else {
+        animRaf = null;
+        motion = null;
+        wheelTarget = null;
+      }
+    }
+    animRaf = requestAnimationFrame(frame);
   }
 
   function setEnabled(v) {
     enabled = !!v;
-    if (!enabled) isPanning = false;
+    if (!enabled) {
+      endGesture();
+      stopMotion();
+    }
   }
 
   // Supports:
@@ -73,6 +154,7 @@ export function attachPanZoom({
   }
 
   function setView({ pan, zoom }) {
+    stopMotion();
     if (pan && typeof pan.x === "number" && typeof pan.y === "number") {
       state.pan.x = pan.x;
       state.pan.y = pan.y;
@@ -134,7 +216,10 @@ export function attachPanZoom({
       typeof zoom === "number" ? clamp(zoom, zoomMin, zoomMax) : startZoom;
 
     const t0 = performance.now();
-    if (lock) setEnabled(false);
+    if (lock) {
+      setEnabled(false);
+      tweenLocked = true;
+    }
 
     function tick(now) {
       const raw = (now - t0) / Math.max(1, duration);
@@ -151,7 +236,10 @@ export function attachPanZoom({
         animRaf = requestAnimationFrame(tick);
       } else {
         animRaf = null;
-        if (lock) setEnabled(true);
+        if (lock) {
+          tweenLocked = false;
+          setEnabled(true);
+        }
         onDone?.();
       }
     }
@@ -159,36 +247,177 @@ export function attachPanZoom({
     animRaf = requestAnimationFrame(tick);
   }
 
+  // Animate so world point `center` sits in the middle of the canvas
+  function centerOn(center, { zoom = state.zoom, ...opts } = {}) {
+    const r = canvasEl.getBoundingClientRect();
+    const z = clamp(zoom, zoomMin, zoomMax);
+
+    animateTo({
+      ...opts,
+      zoom: z,
+      pan: {
+        x: r.width / 2 - center.x * z,
+        y: r.height / 2 - center.y * z
+      }
+    });
+  }
+
+  // Animate so world rect `rect` fills the canvas (less `padding` screen px)
+  function fitRect(rect, { padding = 48, maxZoom = zoomMax, ...opts } = {}) {
+    if (!rect) return;
+    const r = canvasEl.getBoundingClientRect();
+    const zx = (r.width - padding * 2) / Math.max(1, rect.w);
+    const zy = (r.height - padding * 2) / Math.max(1, rect.h);
+
+    centerOn(
+      { x: rect.x + rect.w / 2, y: rect.y + rect.h / 2 },
+      { ...opts, zoom: Math.min(zx, zy, maxZoom) }
+    );
+  }
+
   // -----------------------------
-  // Mouse
+  // Pointer (mouse, touch, pen): one pointer pans, two pinch-zoom
   // -----------------------------
-  canvasEl.addEventListener("mousedown", (e) => {
+  function startPointer(e) {
+    suppressClick = false;
     if (!enabled) return;
-    if (e.button !== 0) return;
+    if (e.pointerType === "mouse" && e.button !== 0) return;
     if (e.target.closest("button")) return;
     if (e.target.closest(".modal, .modal-overlay")) return;
 
-    isPanning = true;
-    last = { x: e.clientX, y: e.clientY };
-  });
+    // Grabbing the canvas stops any glide / zoom / fly-to in progress
+    cancelAnimation();
 
-  window.addEventListener("mousemove", (e) => {
-    if (!enabled) return;
-    if (!isPanning) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    panSamples = [];
+    if (pointers.size === 1) {
+      gestureStart = { x: e.clientX, y: e.clientY };
+      dragged = false;
+    } else {
+      // Second finger: it's a pinch, never a tap
+      dragged = true;
+    }
+  }
+
+  function movePointer(e) {
+    if (!pointers.has(e.pointerId)) return;
+    // Released where we never heard about it (e.g. over a sketch iframe)
+    if (e.pointerType === "mouse" && e.buttons === 0) {
+      endPointer(e);
+      return;
+    }
+    if (!enabled) {
+      endGesture();
+      return;
+    }
+
+    const before = pointerCentroid();
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const after = pointerCentroid();
 
-    const dx = e.clientX - last.x;
-    const dy = e.clientY - last.y;
-    last = { x: e.clientX, y: e.clientY };
+    if (!dragged) {
+      if (Math.hypot(e.clientX - gestureStart.x, e.clientY - gestureStart.y) <= TAP_SLOP_PX) return;
+      dragged = true;
+    }
+
+    // Pinch: scale by the change in finger spread about the gesture centre
+    if (pointers.size >= 2 && before.spread > 0) {
+      const { x, y } = getCanvasLocalXY(after.x, after.y);
+      zoomAboutPoint(state.zoom * (after.spread / before.spread), x, y);
+    }
 
-    state.pan.x += dx;
-    state.pan.y += dy;
+    // Pan by the centroid's movement (one pointer: that pointer's)
+    state.pan.x += after.x - before.x;
+    state.pan.y += after.y - before.y;
+
+    if (pointers.size === 1) {
+      const t = performance.now();
+      panSamples.push({ t, x: after.x, y: after.y });
+      while (panSamples.length && t - panSamples[0].t > VELOCITY_WINDOW_MS) panSamples.shift();
+    } else {
+      panSamples = [];
+    }
 
     applyTransform();
-  });
+  }
+
+  function endPointer(e) {
+    if (!pointers.delete(e.pointerId)) return;
+
+    // Pinch → one finger left: keep panning from here, no stale velocity
+    if (pointers.size > 0) {
+      panSamples = [];
+      return;
+    }
+
+    // A drag / pinch ends without the click that would follow it (touch may
+    // not send one at all, so the next pointerdown clears this again)
+    if (dragged) {
+      suppressClick = true;
+      if (enabled) fling();
+    }
+  }
+
+  // Keep gliding at the release velocity, slowing by FRICTION
+  function fling() {
+    const first = panSamples[0];
+    const last = panSamples[panSamples.length - 1];
+    panSamples = [];
+    if (!first || last === first || performance.now() - last.t > VELOCITY_WINDOW_MS) return;
+
+    const dt = Math.max(1, last.t - first.t);
+    let vx = (last.x - first.x) / dt;
+    let vy = (last.y - first.y) / dt;
+    if (Math.hypot(vx, vy) < MIN_FLING_SPEED) return;
+
+    startMotion("inertia", (ms) => {
+      state.pan.x += vx * ms;
+      state.pan.y += vy * ms;
+
+      const decay = Math.pow(FRICTION, ms / FRAME_MS);
+      vx *= decay;
+      vy *= decay;
+      return Math.hypot(vx, vy) >= STOP_SPEED;
+    });
+  }
+
+  function endGesture() {
+    pointers.clear();
+  }
+
+  // Average position + mean distance from it (the pinch "spread")
+  function pointerCentroid() {
+    let x = 0;
+    let y = 0;
+    for (const p of pointers.values()) {
+      x += p.x;
+      y += p.y;
+    }
+    x /= pointers.size;
+    y /= pointers.size;
+
+    let spread = 0;
+    for (const p of pointers.values()) spread += Math.hypot(p.x - x, p.y - y);
+    return { x, y, spread: spread / pointers.size };
+  }
 
-  window.addEventListener("mouseup", () => {
-    isPanning = false;
-  });
+  canvasEl.addEventListener("pointerdown", startPointer);
+  window.addEventListener("pointermove", movePointer);
+  window.addEventListener("pointerup", endPointer);
+  window.addEventListener("pointercancel", endPointer);
+
+  // Drags that end over a tile must not open it (capture: before tile handlers)
+  canvasEl.addEventListener(
+    "click",
+    (e) => {
+      // detail 0: keyboard-activated click, never the end of a drag
+      if (!suppressClick || e.detail === 0) return;
+      suppressClick = false;
+      e.stopPropagation();
+      e.preventDefault();
+    },
+    true
+  );
 
   canvasEl.addEventListener(
     "wheel",
@@ -199,8 +428,25 @@ export function attachPanZoom({
       const { x, y } = getCanvasLocalXY(e.clientX, e.clientY);
       const zoomFactor = Math.exp(-e.deltaY * 0.001);
 
-      zoomAboutPoint(state.zoom * zoomFactor, x, y);
-      applyTransform();
+      // Steps accumulate into one target that the current zoom eases toward
+      const base = motion === "wheel" ? wheelTarget.zoom : state.zoom;
+      const target = { zoom: clamp(base * zoomFactor, zoomMin, zoomMax), x, y };
+      if (motion === "wheel") {
+        wheelTarget = target;
+        return;
+      }
+
+      startMotion("wheel", (ms) => {
+        const { zoom, x: ax, y: ay } = wheelTarget;
+        const k = 1 - Math.pow(1 - WHEEL_EASE, ms / FRAME_MS);
+        const next = state.zoom + (zoom - state.zoom) * k;
+
+        // Close enough: land exactly on the target
+        const done = Math.abs(zoom - next) < zoom * 1e-3;
+        zoomAboutPoint(done ? zoom : next, ax, ay);
+        return !done;
+      });
+      wheelTarget = target;
     },
     { passive: false }
   );
@@ -215,6 +461,9 @@ export function attachPanZoom({
     setZoomLimits,
     setView,
     setCamera,
-    animateTo
+    animateTo,
+    centerOn,
+    fitRect,
+    getViewRect
   };
 }
@@ -0,0 +1,236 @@
+// src/tree/keyboardNav.js
+
+/**
+ * Keyboard navigation (viewer).
+ *
+ * - Arrows move a visible focus (`is-kb-focus`) between tiles, following the
+ *   layout's orientation: along the column = previous / next sibling (at the
+ *   column's end: the neighbouring column at the same depth), across it =
+ *   parent tile / first tile of the child column (if expanded)
+ * - Enter opens the focused tile (onOpen), Esc drops the focus
+ * - + / − zoom about the view centre, 0 fits the whole forest (onFitAll)
+ *
+ * The camera follows the focus when its tile leaves the view. The first arrow
+ * press focuses the tile nearest the view centre. The focused tile is also
+ * the document's focus (tabindex="0", role="button", its title as
+ * aria-label), so screen readers announce it. Like lineage marks, all of
+ * that is re-applied by refresh() after renders / culling passes; a
+ * remounted tile takes the document focus back only if nothing else has it.
+ */
+
+import { findParentColumnId, isStarRootNode } from "./starRoots.js";
+import { getNodeTileRect, getOrientation, isRadialLayout } from "./geometry.js";
+
+const ZOOM_STEP = 1.25;
+const ZOOM_MS = 220;
+const FOLLOW_MS = 350;
+
+// Screen px the focused tile must stay inside the view edges
+const FOLLOW_MARGIN_PX = 40;
+
+// Arrow → move, per orientation (radial reads like "ltr")
+const KEYMAPS = {
+  ltr: { ArrowUp: "prev", ArrowDown: "next", ArrowLeft: "parent", ArrowRight: "child" },
+  rtl: { ArrowUp: "prev", ArrowDown: "next", ArrowLeft: "child", ArrowRight: "parent" },
+  ttb: { ArrowLeft: "prev", ArrowRight: "next", ArrowUp: "parent", ArrowDown: "child" }
+};
+
+export function createKeyboardNav({
+  state,
+  viewportEl,
+  panzoom,
+  getLayout,
+  onOpen,
+  onFitAll,
+  isBlocked
+}) {
+  let focusedId = null;
+
+  function setFocused(nodeId, { follow = true } = {}) {
+    focusedId = nodeId && state.nodes[nodeId] ? nodeId : null;
+    refresh({ takeFocus: true });
+    if (focusedId && follow) followFocus();
+  }
+
+  function clear() {
+    setFocused(null);
+  }
+
+  // (Re)apply the focus class + attributes to whatever is mounted right now
+  function refresh({ takeFocus = false } = {}) {
+    let focusedEl = null;
+    for (const tile of viewportEl.querySelectorAll(".square[data-node-id]")) {
+      const on = tile.dataset.nodeId === focusedId;
+      tile.classList.toggle("is-kb-focus", on);
+
+      if (on) {
+        if (!focusedEl) focusedEl = tile;
+        tile.tabIndex = 0;
+        tile.setAttribute("role", "button");
+        tile.setAttribute("aria-label", tileName(focusedId));
+      } else if (tile.hasAttribute("tabindex")) {
+        if (document.activeElement === tile) tile.blur();
+        tile.removeAttribute("tabindex");
+        tile.removeAttribute("role");
+        tile.removeAttribute("aria-label");
+      }
+    }
+
+    // Culling / re-renders drop a removed tile's focus to <body>
+    const active = document.activeElement;
+    if (focusedEl && active !== focusedEl && (takeFocus || !active || active === document.body)) {
+      focusedEl.focus({ preventScroll: true });
+    }
+  }
+
+  function tileName(nodeId) {
+    const node = state.nodes[nodeId];
+    return (node.title || "").trim() || node.label || nodeId;
+  }
+
+  function move(direction) {
+    const layout = getLayout();
+    if (!layout) return;
+
+    const colId = focusedId && columnOf(layout, focusedId);
+    if (!colId) {
+      setFocused(nearestToViewCentre(layout));
+      return;
+    }
+
+    let next = null;
+    if (direction === "prev" || direction === "next") {
+      next = sibling(layout, colId, direction === "next" ? 1 : -1);
+    } else if (direction === "child") {
+      next = layout.pos[focusedId]?.rows?.[0]?.id || null;
+    } else {
+      // Root / star-root columns have no tile of their own to step back to
+      const col = state.nodes[colId];
+      if (col && col.kind !== "root" && !isStarRootNode(col, colId)) next = colId;
+    }
+
+    if (next) setFocused(next);
+  }
+
+  // Column that lays out `nodeId`'s tile (null if it isn't laid out)
+  function columnOf(layout, nodeId) {
+    const colId = findParentColumnId(state, nodeId, layout.parentIndex);
+    const rows = layout.pos[colId]?.rows || [];
+    return rows.some((r) => r.id === nodeId) ? colId : null;
+  }
+
+  function sibling(layout, colId, step) {
+    const rows = layout.pos[colId].rows;
+    const i = rows.findIndex((r) => r.id === focusedId);
+    if (rows[i + step]) return rows[i + step].id;
+
+    // Past the column's end: neighbouring column at the same depth
+    const { depth } = layout.pos[colId];
+    const cols = Object.entries(layout.pos)
+      .filter(([, p]) => p.depth === depth && p.rows?.length)
+      .sort((a, b) => crossPosition(layout, a[1]) - crossPosition(layout, b[1]));
+
+    const j = cols.findIndex(([id]) => id === colId);
+    const neighbour = cols[j + step]?.[1];
+    if (!neighbour) return null;
+    return (step > 0 ? neighbour.rows[0] : neighbour.rows[neighbour.rows.length - 1]).id;
+  }
+
+  // Where a column sits along its siblings' axis (radial: its angle)
+  function crossPosition(layout, p) {
+    if (isRadialLayout(layout)) {
+      const { center } = layout.metrics;
+      return Math.atan2(p.centerY - center.y, p.x + p.width / 2 - center.x);
+    }
+    return getOrientation(layout) === "ttb" ? p.x : p.yTop;
+  }
+
+  function nearestToViewCentre(layout) {
+    const view = panzoom.getViewRect(0);
+    const cx = view.x + view.w / 2;
+    const cy = view.y + view.h / 2;
+
+    let best = null;
+    let bestDist = Infinity;
+    for (const [colId, p] of Object.entries(layout.pos)) {
+      for (const row of p.rows || []) {
+        const rect = getNodeTileRect(state, layout, row.id);
+        if (!rect || findParentColumnId(state, row.id, layout.parentIndex) !== colId) continue;
+
+        const d = Math.hypot(rect.x + rect.w / 2 - cx, rect.y + rect.h / 2 - cy);
+        if (d < bestDist) {
+          bestDist = d;
+          best = row.id;
+        }
+      }
+    }
+    return best;
+  }
+
+  function followFocus() {
+    const layout = getLayout();
+    const rect = layout && getNodeTileRect(state, layout, focusedId);
+    if (!rect) return;
+
+    // Negative margin: the view shrunk by FOLLOW_MARGIN_PX on every side
+    const view = panzoom.getViewRect(-FOLLOW_MARGIN_PX);
+    const inside = rect.x >= view.x
+      && rect.y >= view.y
+      && rect.x + rect.w <= view.x + view.w
+      && rect.y + rect.h <= view.y + view.h;
+    if (inside) return;
+
+    panzoom.centerOn(
+      { x: rect.x + rect.w / 2, y: rect.y + rect.h / 2 },
+      { duration: FOLLOW_MS, lock: false }
+    );
+  }
+
+  function zoomBy(factor) {
+    const view = panzoom.getViewRect(0);
+    panzoom.centerOn(
+      { x: view.x + view.w / 2, y: view.y + view.h / 2 },
+      { zoom: state.zoom * factor, duration: ZOOM_MS, lock: false }
+    );
+  }
+
+  window.addEventListener("keydown", (e) => {
+    if (e.defaultPrevented || e.metaKey || e.ctrlKey || e.altKey) return;
+    if (isInteractiveTarget(e.target) || isBlocked?.()) return;
+
+    const layout = getLayout();
+    const keymap = KEYMAPS[isRadialLayout(layout) ? "ltr" : getOrientation(layout)] || KEYMAPS.ltr;
+
+    if (keymap[e.key]) {
+      e.preventDefault();
+      move(keymap[e.key]);
+    } else if (e.key === "Enter" && focusedId) {
+      e.preventDefault();
+      onOpen?.(focusedId);
+    } else if (e.key === "Escape" && focusedId) {
+      clear();
+    } else if (e.key === "+" || e.key === "=") {
+      e.preventDefault();
+      zoomBy(ZOOM_STEP);
+    } else if (e.key === "-" || e.key === "_") {
+      e.preventDefault();
+      zoomBy(1 / ZOOM_STEP);
+    } else if (e.key === "0") {
+      e.preventDefault();
+      onFitAll?.();
+    }
+  });
+
+  return {
+    setFocused,
+    clear,
+    refresh,
+    getFocusedId: () => focusedId
+  };
+}
+
+// Fields and buttons keep their own keys (typing, Enter to press)
+function isInteractiveTarget(el) {
+  if (!el || el === document.body) return false;
+  return !!el.closest?.("input, textarea, select, button, a, [contenteditable], .cm-editor");
+}
@@ -2,10 +2,38 @@
  * Tidy “subtree span” layout for a forest of rooted trees.
  *
  * We lay out *columns* (a node’s children-list UI) such that:
- * - x = depth * COL_X_STEP
- * - y is computed so subtrees never overlap (span-based stacking)
+ * - the depth axis position is depth * COL_X_STEP
+ * - the cross axis position is computed so subtrees never overlap (span-based stacking)
  *
- * Supports multiple roots stacked vertically (forest).
+ * Supports multiple roots stacked along the cross axis (forest).
+ *
+ * Tiles have per-row sizes: a node's `size` class scales its tile (star tiles
+ * are always 2×). Each column in `pos` carries `rows: [{ id, offset, size }]`
+ * with offsets along the cross axis, so consumers never assume a fixed row height.
+ *
+ * Nodes with several parents (DAG lineage) are laid out once, under their
+ * primary parent (see starRoots.js): other parents listing them in `children`
+ * get no row and no column for them; the link shows as a merge wire instead.
+ * Cycles are cut.
+ *
+ * Orientation (opts.orientation):
+ * - "ltr" (default): depth → +x, siblings stack down
+ * - "ttb": depth → +y, siblings stack right (rows run horizontally)
+ * - "rtl": depth → -x, siblings stack down (mirror of "ltr")
+ * Everything is computed in the "ltr" frame and mapped to world space at the end.
+ *
+ * Packing (opts.packing):
+ * - "span" (default): each subtree/root reserves its full span, stacked with gaps
+ * - "compact": contour-based (Reingold–Tilford style). Sibling subtrees and whole
+ *   roots slide together per depth level as far as their actual outlines allow,
+ *   still keeping siblingGap / rootGap between columns at the same depth.
+ *
+ * Lineage lookups use opts.parentIndex (starRoots.buildParentIndex, built here
+ * if missing); it's handed back on the result so consumers of the layout
+ * (geometry, wires, keyboard nav) reuse it instead of rescanning every node.
+ *
+ * Filtering (opts.hiddenIds: Set of node ids, see tagFilter.js): hidden nodes
+ * get no row and no column, as if they weren't in their parent's `children`.
  *
  * Special:
  * - A "__STARRED__" column (if present) is NOT treated as a stacked root.
@@ -19,13 +47,31 @@
  *       id,
  *       children: [childId, ...],
  *       expandedChildren: Set OR Array   // children whose branch (child column) is visible
+ *       size?: "milestone" | "normal" | "minor"   // tile size class (TILE_SIZE_SCALE)
+ *       parents?: [nodeId, ...]          // DAG lineage: primary parent first
+ *       mergedFrom?: [nodeId, ...]       // extra (secondary) parents
  *       kind?: "star" | ...
  *     }
  *   }
  * }
  */
 
-import { isStarRootNode, STAR_ROOT_PREFIX, LEGACY_STAR_ROOT_ID } from "./starRoots.js";
+import {
+  isStarRootNode,
+  buildParentIndex,
+  buildPrimaryParentIndex,
+  STAR_ROOT_PREFIX,
+  LEGACY_STAR_ROOT_ID
+} from "./starRoots.js";
+
+export const ORIENTATIONS = ["ltr", "ttb", "rtl"];
+
+// node.size → tile scale relative to nodeSize
+export const TILE_SIZE_SCALE = {
+  milestone: 1.5,
+  normal: 1,
+  minor: 0.7
+};
 
 export function layoutForest(state, opts = {}) {
   const {
@@ -37,11 +83,18 @@ export function layoutForest(state, opts = {}) {
     rootGap = 80
   } = opts;
 
+  const orientation = ORIENTATIONS.includes(opts.orientation) ? opts.orientation : "ltr";
+  const packing = opts.packing === "compact" ? "compact" : "span";
+
+  const sizeScale = { ...TILE_SIZE_SCALE, ...(opts.sizeScale || {}) };
+  const hiddenIds = opts.hiddenIds instanceof Set ? opts.hiddenIds : new Set(opts.hiddenIds || []);
+
   const ROW_H = nodeSize + gapY;
   const COL_X_STEP = nodeSize + gapX;
 
   // Star tiles are 2× in size, so their rows are taller.
   const STAR_ROW_H = nodeSize * 2 + gapY;
+  const STAR_SIZE = nodeSize * 2;
 
   // --- helpers ------------------------------------------------
 
@@ -55,63 +108,102 @@ export function layoutForest(state, opts = {}) {
     return new Set(Array.isArray(v) ? v : []);
   };
 
+  const tileSize = (childId) => {
+    const child = getNode(childId);
+    if (child?.kind === "star") return STAR_SIZE;
+    const scale = sizeScale[child?.size] ?? 1;
+    return Math.round(nodeSize * scale);
+  };
+
+  // A node's tile and column only hang off its primary parent (roots never
+  // do); other parents reach it through merge wires
+  const parentIndex = opts.parentIndex || buildParentIndex(state);
+  const primaryParent = buildPrimaryParentIndex(state, parentIndex);
+  const rootIds = new Set(state.roots || []);
+
+  // Per-row geometry along the cross axis: [{ id, offset, size }]
+  const rowsMemo = new Map();
+
+  const columnRows = (nodeId) => {
+    if (rowsMemo.has(nodeId)) return rowsMemo.get(nodeId);
+
+    const rows = [];
+    let offset = 0;
+    for (const cid of getNode(nodeId)?.children || []) {
+      if (!getNode(cid)) continue; // render skips missing children too
+      if (hiddenIds.has(cid)) continue;
+      if (primaryParent.get(cid) !== nodeId) continue; // secondary listing
+      const size = tileSize(cid);
+      rows.push({ id: cid, offset, size });
+      offset += size + gapY;
+    }
+
+    rowsMemo.set(nodeId, rows);
+    return rows;
+  };
+
+  const rowsLength = (nodeId) => {
+    const rows = columnRows(nodeId);
+    if (rows.length === 0) return 0;
+    const last = rows[rows.length - 1];
+    return last.offset + last.size + gapY;
+  };
+
   const columnHeight = (nodeId) => {
     const n = getNode(nodeId);
 
     // Star column: no plus button; rows are 2× height (for 2× tiles)
     if (isStarRootNode(n, nodeId)) {
-      const rowsH = (n?.children?.length ?? 0) * STAR_ROW_H;
-      return rowsH; // no plusHeight in star column
+      return rowsLength(nodeId); // no plusHeight in star column
     }
 
-    const rowsH = (n?.children?.length ?? 0) * ROW_H;
-    return rowsH + plusHeight;
+    return rowsLength(nodeId) + plusHeight;
   };
 
-  const collectVisibleColumnsFromRoot = (rootId) => {
-    const cols = new Set([rootId]);
-
-    const walk = (id) => {
-      const n = getNode(id);
-      if (!n) return;
-
-      for (const cid of expandedSet(n)) {
-        cols.add(cid);
-        walk(cid);
-      }
-    };
-
-    walk(rootId);
-    return cols;
+  // Column thickness along the depth axis: its largest tile (star tiles are 2×)
+  const columnThickness = (nodeId) => {
+    if (isStarRootNode(getNode(nodeId), nodeId)) return STAR_SIZE;
+    let t = nodeSize;
+    for (const r of columnRows(nodeId)) t = Math.max(t, r.size);
+    return t;
   };
 
-  const collectVisibleEdgesFromRoot = (rootId) => {
+  const expandedKids = (id) =>
+    [...expandedSet(getNode(id))].filter(
+      (cid) => primaryParent.get(cid) === id && !rootIds.has(cid) && !hiddenIds.has(cid)
+    );
+
+  // Visible columns under a root as a proper tree: { cols, kidsOf, edges }
+  const collectVisibleTreeFromRoot = (rootId) => {
+    const cols = new Set([rootId]);
+    const kidsOf = new Map();
     const edges = [];
 
     const walk = (id) => {
-      const n = getNode(id);
-      if (!n) return;
+      if (!getNode(id)) return;
 
-      for (const cid of expandedSet(n)) {
+      const kids = [];
+      for (const cid of expandedKids(id)) {
+        if (cols.has(cid)) continue; // cycle / already placed
+        cols.add(cid);
+        kids.push(cid);
         edges.push([id, cid]);
-        walk(cid);
       }
+      kidsOf.set(id, kids);
+
+      for (const cid of kids) walk(cid);
     };
 
     walk(rootId);
-    return edges;
+    return { cols, kidsOf, edges };
   };
 
   // --- layout one root ---------------------------------------
 
   function layoutOneRoot(rootId, topY0) {
-    const visibleCols = collectVisibleColumnsFromRoot(rootId);
+    const { cols: visibleCols, kidsOf, edges } = collectVisibleTreeFromRoot(rootId);
 
-    const expandedKidsInView = (id) => {
-      const n = getNode(id);
-      if (!n) return [];
-      return [...expandedSet(n)].filter((cid) => visibleCols.has(cid));
-    };
+    const expandedKidsInView = (id) => kidsOf.get(id) || [];
 
     // subtree vertical “territory” required for this column and its expanded descendants
     const spanMemo = new Map();
@@ -189,7 +281,74 @@ export function layoutForest(state, opts = {}) {
     return {
       pos,
       span: subtreeSpan(rootId),
-      edges: collectVisibleEdgesFromRoot(rootId)
+      edges
+    };
+  }
+
+  // --- layout one root (compact packing) -----------------------
+
+  function layoutOneRootCompact(rootId) {
+    const { kidsOf, edges } = collectVisibleTreeFromRoot(rootId);
+
+    const expandedKidsInView = (id) => kidsOf.get(id) || [];
+
+    // Pack a column and its expanded descendants, relative to the column's own top.
+    // Returns { placed: [{id, top, level}], contour: [[minY, maxY] per level] }
+    const pack = (id) => {
+      const selfH = columnHeight(id);
+      const kids = expandedKidsInView(id);
+
+      if (kids.length === 0) {
+        return { placed: [{ id, top: 0, level: 0 }], contour: [[0, selfH]] };
+      }
+
+      const placed = [];
+      const kidsContour = [];
+      const kidCenters = [];
+
+      for (const cid of kids) {
+        const sub = pack(cid);
+        const shift = kidsContour.length
+          ? packShift(kidsContour, sub.contour, siblingGap)
+          : 0;
+
+        for (const e of sub.placed) {
+          placed.push({ id: e.id, top: e.top + shift, level: e.level + 1 });
+        }
+        mergeContour(kidsContour, sub.contour, shift);
+        kidCenters.push(shift + columnHeight(cid) / 2);
+      }
+
+      // Centre this column on its children (same rule as span packing)
+      const centerY = (Math.min(...kidCenters) + Math.max(...kidCenters)) / 2;
+      const selfTop = centerY - selfH / 2;
+
+      for (const e of placed) e.top -= selfTop;
+      placed.push({ id, top: 0, level: 0 });
+
+      const contour = [[0, selfH]];
+      mergeContour(contour, [null, ...kidsContour], -selfTop);
+
+      return { placed, contour };
+    };
+
+    const { placed, contour } = pack(rootId);
+
+    const pos = {};
+    for (const { id, top, level } of placed) {
+      const selfH = columnHeight(id);
+      pos[id] = {
+        x: level * COL_X_STEP,
+        yTop: top,
+        centerY: top + selfH / 2,
+        depth: level
+      };
+    }
+
+    return {
+      pos,
+      contour,
+      edges
     };
   }
 
@@ -221,14 +380,20 @@ export function layoutForest(state, opts = {}) {
     if (rootId) starRootsByRoot.set(rootId, id);
   }
 
+  // Compact packing: cross-axis outline of everything placed so far, per depth
+  const forestContour = [];
+
   for (const rootId of roots) {
     if (!state.nodes[rootId]) continue;
 
-    const rootTopY = topY;
-    const { pos, span, edges } = layoutOneRoot(rootId, rootTopY);
+    const compact = packing === "compact";
+    const { pos, span, edges, contour } = compact
+      ? layoutOneRootCompact(rootId)
+      : layoutOneRoot(rootId, topY);
 
-    Object.assign(allPos, pos);
-    allEdges.push(...edges);
+    // Cross-axis band this root occupies (the star column centres on it)
+    const bandTop = compact ? contourMin(contour) : topY;
+    const bandSpan = compact ? contourMax(contour) - bandTop : span;
 
     const starRootId = starRootsByRoot.get(rootId);
     const starNode = starRootId ? state.nodes[starRootId] : null;
@@ -243,18 +408,41 @@ export function layoutForest(state, opts = {}) {
       const starDepth = maxDepth + 1;
       const starX = starDepth * COL_X_STEP;
       const starH = columnHeight(starRootId);
-      const starYTop = rootTopY + Math.max(0, (span - starH) / 2);
+      const starYTop = bandTop + Math.max(0, (bandSpan - starH) / 2);
       const starCenterY = starYTop + starH / 2;
 
-      allPos[starRootId] = {
+      pos[starRootId] = {
         x: starX,
         yTop: starYTop,
         centerY: starCenterY,
         depth: starDepth
       };
+
+      if (compact) {
+        const starContour = [];
+        starContour[starDepth] = [starYTop, starYTop + starH];
+        mergeContour(contour, starContour, 0);
+      }
+    }
+
+    if (compact) {
+      // Slide the whole root (incl. its star column) up against the forest so far
+      const shift = forestContour.length
+        ? packShift(forestContour, contour, rootGap)
+        : -bandTop;
+
+      for (const p of Object.values(pos)) {
+        p.yTop += shift;
+        p.centerY += shift;
+      }
+      mergeContour(forestContour, contour, shift);
+    } else {
+      topY += span + rootGap;
     }
 
-    topY += span + rootGap;
+    for (const p of Object.values(pos)) p.rootId = rootId;
+    Object.assign(allPos, pos);
+    allEdges.push(...edges);
   }
 
   // Legacy STAR column (fallback)
@@ -275,14 +463,50 @@ export function layoutForest(state, opts = {}) {
       x: starX,
       yTop: starYTop,
       centerY: starCenterY,
-      depth: starDepth
+      depth: starDepth,
+      rootId: null
+    };
+  }
+
+  // --- map "ltr" frame → world --------------------------------
+
+  for (const [id, p] of Object.entries(allPos)) {
+    allPos[id] = {
+      ...toWorld(p, columnThickness(id), columnHeight(id)),
+      rows: columnRows(id),
+      rootId: p.rootId ?? null
+    };
+  }
+
+  function toWorld(p, thickness, length) {
+    if (orientation === "ttb") {
+      return {
+        x: p.yTop,
+        yTop: p.x,
+        centerY: p.x + thickness / 2,
+        width: length,
+        height: thickness,
+        depth: p.depth
+      };
+    }
+
+    const x = orientation === "rtl" ? -(p.x + thickness) : p.x;
+    return {
+      x,
+      yTop: p.yTop,
+      centerY: p.centerY,
+      width: thickness,
+      height: length,
+      depth: p.depth
     };
   }
 
   return {
-    pos: allPos,      // { [nodeId]: {x,yTop,centerY,depth} }
+    pos: allPos,      // { [nodeId]: {x,yTop,centerY,width,height,depth,rows,rootId} } (world space)
     edges: allEdges,  // [ [parentId, childId], ... ] for expanded branches
+    parentIndex,      // childId -> listing parent ids (starRoots.buildParentIndex)
     metrics: {
+      orientation,
       rowHeight: ROW_H,
       starRowHeight: STAR_ROW_H,
       colStepX: COL_X_STEP,
@@ -295,3 +519,44 @@ export function layoutForest(state, opts = {}) {
     }
   };
 }
+
+// ------------------------------------------------------------
+// Contour helpers (compact packing)
+// A contour is a sparse array: contour[level] = [minY, maxY] | undefined
+// ------------------------------------------------------------
+
+// Smallest shift for `next` so it clears `placed` by `gap` on every shared level
+function packShift(placed, next, gap) {
+  let shift = -Infinity;
+  const levels = Math.min(placed.length, next.length);
+
+  for (let l = 0; l < levels; l++) {
+    if (!placed[l] || !next[l]) continue;
+    shift = Math.max(shift, placed[l][1] + gap - next[l][0]);
+  }
+
+  return shift === -Infinity ? 0 : shift;
+}
+
+function mergeContour(into, from, shift) {
+  for (let l = 0; l < from.length; l++) {
+    if (!from[l]) continue;
+    const a = from[l][0] + shift;
+    const b = from[l][1] + shift;
+    into[l] = into[l]
+      ? [Math.min(into[l][0], a), Math.max(into[l][1], b)]
+      : [a, b];
+  }
+}
+
+function contourMin(contour) {
+  let v = Infinity;
+  for (const c of contour) if (c) v = Math.min(v, c[0]);
+  return v === Infinity ? 0 : v;
+}
+
+function contourMax(contour) {
+  let v = -Infinity;
+  for (const c of contour) if (c) v = Math.max(v, c[1]);
+  return v === -Infinity ? 0 : v;
+}
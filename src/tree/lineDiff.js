@@ -0,0 +1,108 @@
+// src/tree/lineDiff.js
+
+/**
+ * Line-level diff stats between sketches (for wire labels).
+ *
+ * countLineChanges(a, b) runs Myers' O(ND) shortest-edit-script search on the
+ * two texts' lines and only keeps the edit distance D; with the line counts
+ * that gives added = (D + M - N) / 2 and removed = (D - M + N) / 2.
+ * Common prefix / suffix lines are trimmed first, which is most of a typical
+ * parent → child change.
+ */
+
+import { UPLOADED_FILE_MARKER } from "./codeSearch.js";
+
+// Past this many edits a file is treated as rewritten (keeps worst case cheap)
+const MAX_EDITS = 4000;
+
+export function countLineChanges(aText, bText) {
+  const a = splitLines(aText);
+  const b = splitLines(bText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 || m === 0) return { added: m, removed: n };
+
+  const d = editDistance(a, b, start, n, m);
+  return { added: (d + m - n) / 2, removed: (d - m + n) / 2 };
+}
+
+/**
+ * Summed line changes from `parentFiles` to `childFiles` (file maps as in
+ * node.files). Added / deleted files count all their lines; uploaded assets
+ * are ignored. Results are cached per (parentFiles, childFiles) pair.
+ */
+const filesCache = new WeakMap();
+
+export function diffFiles(parentFiles = {}, childFiles = {}) {
+  const cached = filesCache.get(childFiles);
+  if (cached?.parentFiles === parentFiles) return cached.result;
+
+  let added = 0;
+  let removed = 0;
+
+  const paths = new Set([...Object.keys(parentFiles), ...Object.keys(childFiles)]);
+  for (const path of paths) {
+    const before = sourceText(parentFiles[path]);
+    const after = sourceText(childFiles[path]);
+    if (before === after) continue;
+
+    const c = countLineChanges(before, after);
+    added += c.added;
+    removed += c.removed;
+  }
+
+  const result = { added, removed };
+  filesCache.set(childFiles, { parentFiles, result });
+  return result;
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function editDistance(a, b, offset, n, m) {
+  const max = Math.min(n + m, MAX_EDITS);
+  const size = 2 * max + 1;
+  const v = new Int32Array(size + 2);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      const i = k + max;
+      let x = k === -d || (k !== d && v[i - 1] < v[i + 1]) ? v[i + 1] : v[i - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[offset + x] === b[offset + y]) {
+        x++;
+        y++;
+      }
+      v[i] = x;
+
+      if (x >= n && y >= m) return d;
+    }
+  }
+
+  return n + m;
+}
+
+function sourceText(content) {
+  if (typeof content !== "string" || content.startsWith(UPLOADED_FILE_MARKER)) return "";
+  return content;
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
@@ -0,0 +1,126 @@
+// src/tree/lineage.js
+
+/**
+ * Lineage highlighting: hover (or select) a tile to light up the path from
+ * its root to it, plus everything that descends from it; the rest dims.
+ *
+ * - Ancestors follow primary parents (the column chain the tile sits in)
+ * - Descendants follow every `children` listing (merges included), cycle-safe
+ * - Star tiles stand in for their source node; a lineage node's star tile
+ *   is part of the lineage too
+ *
+ * getParentIndex() supplies the current render's starRoots.buildParentIndex
+ * map, so walking up doesn't rescan every node per step.
+ *
+ * Wires are matched by the data-parent-id / data-child-id every wire carries
+ * (see wires.js). Marks are classes, so call refresh() whenever tiles or wires
+ * get (re)mounted (render, culling) to re-apply them.
+ */
+
+import { findParentColumnId } from "./starRoots.js";
+
+export function getLineage(state, nodeId, parentIndex = null) {
+  const nodes = state.nodes || {};
+  let selfId = nodeId;
+  if (nodes[nodeId]?.kind === "star" && nodes[nodes[nodeId].sourceId]) {
+    selfId = nodes[nodeId].sourceId;
+  }
+
+  const ancestors = new Set();
+  let current = findParentColumnId(state, selfId, parentIndex);
+  while (current && !ancestors.has(current) && current !== selfId) {
+    ancestors.add(current);
+    current = findParentColumnId(state, current, parentIndex);
+  }
+
+  const descendants = new Set();
+  const stack = [...(nodes[selfId]?.children || [])];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === selfId || descendants.has(id) || !nodes[id]) continue;
+    descendants.add(id);
+    stack.push(...(nodes[id].children || []));
+  }
+
+  const all = new Set([selfId, ...ancestors, ...descendants]);
+  if (nodeId !== selfId) all.add(nodeId);
+  for (const id of [...all]) {
+    const starId = nodes[id]?.starredId;
+    if (starId && nodes[starId]) all.add(starId);
+  }
+
+  return { selfId, ancestors, descendants, all };
+}
+
+export function createLineageHighlighter({ state, canvasEl, viewportEl, wiresEl, getParentIndex }) {
+  let hoverId = null;
+  let selectedId = null;
+  let lineage = null;
+
+  function focusedId() {
+    return hoverId || selectedId;
+  }
+
+  function hover(nodeId) {
+    if (hoverId === nodeId) return;
+    hoverId = nodeId || null;
+    update();
+  }
+
+  function select(nodeId) {
+    selectedId = nodeId || null;
+    update();
+  }
+
+  function clear() {
+    hoverId = null;
+    selectedId = null;
+    update();
+  }
+
+  function update() {
+    const id = focusedId();
+    lineage = id && state.nodes[id] ? getLineage(state, id, getParentIndex?.()) : null;
+    refresh();
+  }
+
+  // (Re)apply marks to whatever is mounted right now
+  function refresh() {
+    canvasEl.classList.toggle("lineage-focus", !!lineage);
+
+    for (const tile of viewportEl.querySelectorAll(".square[data-node-id]")) {
+      const id = tile.dataset.nodeId;
+      tile.classList.toggle("is-lineage", !!lineage?.all.has(id));
+      tile.classList.toggle("is-lineage-self", !!lineage && (id === lineage.selfId || state.nodes[id]?.sourceId === lineage.selfId));
+      tile.classList.toggle("is-lineage-ancestor", !!lineage?.ancestors.has(id));
+    }
+
+    // Wire paths and their labels
+    for (const el of wiresEl.querySelectorAll("[data-parent-id]")) {
+      const on = !!lineage
+        && lineage.all.has(el.getAttribute("data-parent-id"))
+        && lineage.all.has(el.getAttribute("data-child-id"));
+      el.classList.toggle("is-lineage", on);
+    }
+  }
+
+  // Hover via delegation (tiles come and go with culling / reconciliation)
+  viewportEl.addEventListener("mouseover", (e) => {
+    const tile = e.target.closest?.(".square[data-node-id]");
+    if (tile) hover(tile.dataset.nodeId);
+  });
+
+  viewportEl.addEventListener("mouseout", (e) => {
+    const tile = e.target.closest?.(".square[data-node-id]");
+    if (!tile || (e.relatedTarget && tile.contains(e.relatedTarget))) return;
+    hover(null);
+  });
+
+  return {
+    hover,
+    select,
+    clear,
+    refresh,
+    getSelectedId: () => selectedId
+  };
+}
@@ -0,0 +1,145 @@
+// src/tree/minimap.js
+
+/**
+ * Minimap overlay (viewer, fixed bottom-right).
+ *
+ * Draws every column in layout.pos as a block (coloured per root/week, star
+ * columns in gold) plus the current viewport rectangle. Click or drag on it to
+ * centre the camera there (panzoom.setView; zoom is kept).
+ *
+ * The silhouette is redrawn only by setLayout(); update() (every camera change)
+ * just blits it and strokes the viewport.
+ */
+
+import { isStarRootId } from "./starRoots.js";
+import { getRootHue } from "./render.js";
+import { getLayoutBounds } from "./geometry.js";
+
+const MAX_W = 220;
+const MAX_H = 160;
+const PAD = 6;
+
+export function createMinimap({ state, panzoom, isBlocked }) {
+  const el = document.createElement("div");
+  el.className = "minimap";
+  el.hidden = true;
+
+  const canvas = document.createElement("canvas");
+  canvas.className = "minimap-canvas";
+  el.appendChild(canvas);
+
+  const ctx = canvas.getContext("2d");
+  const silhouette = document.createElement("canvas");
+
+  // world → minimap: m = (w - bounds.min) * scale + PAD
+  let bounds = null;
+  let scale = 1;
+  let cssW = MAX_W;
+  let cssH = MAX_H;
+  let dpr = 1;
+
+  function setLayout(layout) {
+    const entries = Object.entries(layout?.pos || {});
+    el.hidden = entries.length === 0;
+    if (entries.length === 0) {
+      bounds = null;
+      return;
+    }
+
+    const b = getLayoutBounds(layout);
+    bounds = { minX: b.x, minY: b.y, w: Math.max(1, b.w), h: Math.max(1, b.h) };
+
+    // Keep the world's aspect ratio inside MAX_W × MAX_H
+    scale = Math.min((MAX_W - PAD * 2) / bounds.w, (MAX_H - PAD * 2) / bounds.h);
+    cssW = Math.round(bounds.w * scale + PAD * 2);
+    cssH = Math.round(bounds.h * scale + PAD * 2);
+    dpr = window.devicePixelRatio || 1;
+
+    for (const c of [canvas, silhouette]) {
+      c.width = Math.round(cssW * dpr);
+      c.height = Math.round(cssH * dpr);
+    }
+    canvas.style.width = `${cssW}px`;
+    canvas.style.height = `${cssH}px`;
+
+    const sctx = silhouette.getContext("2d");
+    sctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    sctx.clearRect(0, 0, cssW, cssH);
+
+    for (const [id, p] of entries) {
+      sctx.fillStyle = isStarRootId(id)
+        ? "rgba(245, 197, 66, 0.8)"
+        : `hsl(${getRootHue(state, p.rootId)} 45% 58% / 0.75)`;
+
+      const { x, y } = toMini(p.x, p.yTop);
+      // Keep tiny columns visible as at least a 1.5px block
+      sctx.fillRect(x, y, Math.max(1.5, p.width * scale), Math.max(1.5, p.height * scale));
+    }
+
+    update();
+  }
+
+  function update() {
+    if (!bounds) return;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(silhouette, 0, 0);
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const view = panzoom.getViewRect(0);
+    const a = toMini(view.x, view.y);
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.9)";
+    ctx.lineWidth = 1.5;
+    ctx.fillStyle = "rgba(255, 255, 255, 0.08)";
+    ctx.fillRect(a.x, a.y, view.w * scale, view.h * scale);
+    ctx.strokeRect(a.x, a.y, view.w * scale, view.h * scale);
+  }
+
+  function toMini(wx, wy) {
+    return {
+      x: (wx - bounds.minX) * scale + PAD,
+      y: (wy - bounds.minY) * scale + PAD
+    };
+  }
+
+  // Centre the camera on the world point under the pointer
+  function navigate(e) {
+    if (!bounds) return;
+    const r = canvas.getBoundingClientRect();
+    const wx = (e.clientX - r.left - PAD) / scale + bounds.minX;
+    const wy = (e.clientY - r.top - PAD) / scale + bounds.minY;
+
+    const view = panzoom.getViewRect(0);
+    const z = state.zoom || 1;
+    panzoom.setView({
+      pan: {
+        x: -(wx - view.w / 2) * z,
+        y: -(wy - view.h / 2) * z
+      }
+    });
+  }
+
+  canvas.addEventListener("pointerdown", (e) => {
+    if (e.button !== 0 || isBlocked?.()) return;
+    e.preventDefault();
+    e.stopPropagation();
+    canvas.setPointerCapture?.(e.pointerId);
+    el.classList.add("is-dragging");
+    navigate(e);
+  });
+
+  canvas.addEventListener("pointermove", (e) => {
+    if (!el.classList.contains("is-dragging")) return;
+    navigate(e);
+  });
+
+  const endDrag = (e) => {
+    el.classList.remove("is-dragging");
+    canvas.releasePointerCapture?.(e.pointerId);
+  };
+  canvas.addEventListener("pointerup", endDrag);
+  canvas.addEventListener("pointercancel", endDrag);
+
+  return { el, setLayout, update };
+}
@@ -0,0 +1,122 @@
+/**
+ * Radial alternative to layoutForest (overview / poster mode).
+ *
+ * Same contract as layoutForest: { pos, edges, parentIndex, metrics }.
+ * - Roots sit on the innermost ring, spread around a centre
+ * - Depth maps to rings; each ring is spaced so columns on neighbouring
+ *   rings can't overlap whatever angle they end up at
+ * - Angles come from the tidy "ltr" layout's cross axis, so sibling order and
+ *   non-overlap carry over (the innermost ring is sized so arc length ≥ span)
+ *
+ * Columns keep their normal top-to-bottom row stacking; only their boxes move.
+ * metrics.mode === "radial" tells renderWires to draw radial curves.
+ */
+
+import { layoutForest } from "./layout.js";
+
+export function layoutRadial(state, opts = {}) {
+  const {
+    nodeSize = 90,
+    gapX = 140,
+    siblingGap = 26,
+    rootGap = 80,
+    minRadius = 600
+  } = opts;
+
+  // Boxes are axis-aligned, so along the ring tangent a column can reach
+  // (width + height) / 2 from its centre instead of height / 2: pad the
+  // cross-axis gaps by the widest column (star columns are 2×).
+  const pad = nodeSize * 2;
+
+  const base = layoutForest(state, {
+    ...opts,
+    orientation: "ltr",
+    siblingGap: siblingGap + pad,
+    rootGap: rootGap + pad
+  });
+
+  const entries = Object.entries(base.pos);
+  if (entries.length === 0) {
+    return {
+      pos: {},
+      edges: base.edges,
+      parentIndex: base.parentIndex,
+      metrics: {
+        ...base.metrics,
+        mode: "radial",
+        center: { x: 0, y: 0 },
+        ringRadii: []
+      }
+    };
+  }
+
+  // --- angles from the cross axis -----------------------------
+
+  let crossMin = Infinity;
+  let crossMax = -Infinity;
+  for (const [, p] of entries) {
+    crossMin = Math.min(crossMin, p.yTop);
+    crossMax = Math.max(crossMax, p.yTop + p.height);
+  }
+
+  // Leave a root gap between the last and first root where the circle closes
+  const total = Math.max(1, crossMax - crossMin + rootGap + pad);
+
+  // --- ring radii per depth -----------------------------------
+
+  // Largest radial reach of any column at each depth
+  const reach = [];
+  for (const [, p] of entries) {
+    const r = (p.width + p.height) / 2;
+    reach[p.depth] = Math.max(reach[p.depth] ?? 0, r);
+  }
+
+  const ringRadii = [];
+  ringRadii[0] = Math.max(minRadius, total / (2 * Math.PI));
+  for (let d = 1; d < reach.length; d++) {
+    const prev = reach[d - 1] ?? 0;
+    const cur = reach[d] ?? 0;
+    ringRadii[d] = ringRadii[d - 1] + Math.max(nodeSize + gapX, prev + cur + gapX);
+  }
+
+  // Keep everything in positive world space
+  const outer = ringRadii[ringRadii.length - 1] + (reach[reach.length - 1] ?? 0);
+  const center = { x: outer + nodeSize, y: outer + nodeSize };
+
+  // --- place columns ------------------------------------------
+
+  const pos = {};
+  for (const [id, p] of entries) {
+    const cross = p.yTop + p.height / 2 - crossMin;
+    const angle = (cross / total) * Math.PI * 2 - Math.PI / 2; // start at 12 o'clock
+    const radius = ringRadii[p.depth];
+
+    const cx = center.x + Math.cos(angle) * radius;
+    const cy = center.y + Math.sin(angle) * radius;
+
+    pos[id] = {
+      x: cx - p.width / 2,
+      yTop: cy - p.height / 2,
+      centerY: cy,
+      width: p.width,
+      height: p.height,
+      depth: p.depth,
+      rows: p.rows,
+      rootId: p.rootId,
+      angle,
+      radius
+    };
+  }
+
+  return {
+    pos,
+    edges: base.edges,
+    parentIndex: base.parentIndex,
+    metrics: {
+      ...base.metrics,
+      mode: "radial",
+      center,
+      ringRadii
+    }
+  };
+}
@@ -1,22 +1,42 @@
 // src/tree/render.js
 import { createP5Runner } from "../modal/runner.js";
-import { isStarRootNode } from "./starRoots.js";
+import { isStarRootNode, findParentColumnId } from "./starRoots.js";
+import { normalizeSiteMeta, getSiteTagLines } from "../siteMeta.js";
+import { getOrientation, getBranchGlyphs, rectsIntersect } from "./geometry.js";
+import { ORIENTATIONS } from "./layout.js";
+import { getTagColor, isFilteredOut } from "./tagFilter.js";
+import { LAYOUT_CONFIG } from "../config.js";
+
+// Per-viewport bookkeeping between renders (keyed by viewportEl):
+// { args, worldEl, renderId, columns: Map<colId, ColumnRecord> }
+//
+// ColumnRecord: { el, titleEl, plusEl, rows: Map<childId, RowRecord>, renderId }
+// RowRecord:    { el, tileEl, star, tileKey, buttonsKey, buttons: [el] }
+//
+// Columns and tiles are reused by node id across renders: only what changed
+// is patched, so hover state, loaded thumbnails and a running star sketch
+// survive a re-render.
+const forestStores = new WeakMap();
 
-export function renderForest({
-  state,
-  layout,
-  viewportEl,
-  mode = "viewer",
-  onNodeClick,
-  onAddChild,
-  onSpawnBranch,
-  onStarNode,
-  onDeleteStar,
-  getFilesForNode,            // (nodeId) => files
-  onSaveThumbnailForNode      // async (sourceId, dataUrl) => newThumbPath (or "")
-}) {
-  const { pos, metrics } = layout;
-  const { nodeSize, rowHeight } = metrics;
+/**
+ * Render (reconcile) the forest's columns into #world.
+ *
+ * With `viewRect` (world-space rect, see attachPanZoom.getViewRect) only the
+ * columns intersecting it are materialised; call updateForestViewport() as the
+ * camera moves to mount/unmount columns without re-rendering the rest.
+ *
+ * Other args:
+ *   mode = "viewer" | "editor"
+ *   onNodeClick, onAddChild, onSpawnBranch, onStarNode, onDeleteStar
+ *   onToggleBranch           viewer: (parentId, childId) => void
+ *   filter                   resolved tag filter (tagFilter.js computeTagFilter)
+ *   site                     normalized site metadata (siteMeta.js) for the header
+ *   getFilesForNode          (nodeId) => files
+ *   onSaveThumbnailForNode   async (sourceId, dataUrl) => newThumbPath (or "")
+ */
+export function renderForest(args) {
+  const { state, layout, viewportEl, viewRect = null, site = normalizeSiteMeta(null) } = args;
+  const { pos } = layout;
 
   // Stable viewport structure
   let headerEl = viewportEl.querySelector("#worldHeader");
@@ -44,181 +64,508 @@ export function renderForest({
     viewportEl.appendChild(worldEl);
   }
 
-  worldEl.innerHTML = "";
-
   // Header anchored above first non-star root
   const firstRoot = (state.roots || []).find((id) => {
     const node = state.nodes[id];
     return node && !isStarRootNode(node, id);
   }) || (state.roots || [])[0];
   const rp = firstRoot ? pos[firstRoot] : null;
-  
-
-  headerEl.textContent = "the Nature of Code";
-  headerTagEl.textContent = `Aditya De
-ITP | NYU
-Spring 2026`;
-  
-
-  for (const [colId, p] of Object.entries(pos)) {
-    const col = renderColumn({
-      state,
-      colId,
-      x: p.x,
-      yTop: p.yTop,
-      depth: p.depth,
-      nodeSize,
-      rowHeight,
-      mode,
-      onNodeClick,
-      onAddChild,
-      onSpawnBranch,
-      onStarNode,
-      onDeleteStar,
-      getFilesForNode,
-      onSaveThumbnailForNode
-    });
-    worldEl.appendChild(col);
+
+  patchHeader(headerEl, headerTagEl, site);
+
+  let store = forestStores.get(viewportEl);
+  if (!store || store.worldEl !== worldEl) {
+    worldEl.innerHTML = "";
+    store = { args, worldEl, renderId: 0, columns: new Map() };
+    forestStores.set(viewportEl, store);
   }
+
+  store.args = args;
+  store.renderId += 1;
+
+  syncColumns(store, viewRect);
 }
 
-function renderColumn({
-  state,
-  colId,
-  x,
-  yTop,
-  depth,
-  nodeSize,
-  rowHeight,
-  mode,
-  onNodeClick,
-  onAddChild,
-  onSpawnBranch,
-  onStarNode,
-  onDeleteStar,
-  getFilesForNode,
-  onSaveThumbnailForNode
-}) {
+// Title + author/affiliation/term tag (and links) from site metadata
+function patchHeader(headerEl, headerTagEl, site) {
+  if (headerEl.textContent !== site.title) headerEl.textContent = site.title;
+
+  const lines = getSiteTagLines(site);
+  const key = JSON.stringify([lines, site.links]);
+  if (headerTagEl.dataset.key === key) return;
+  headerTagEl.dataset.key = key;
+
+  headerTagEl.replaceChildren(lines.join("\n"));
+  headerTagEl.hidden = lines.length === 0 && site.links.length === 0;
+
+  if (site.links.length) {
+    const linksEl = document.createElement("div");
+    linksEl.className = "header-links";
+    for (const link of site.links) {
+      const a = document.createElement("a");
+      a.href = link.href;
+      a.target = "_blank";
+      a.rel = "noopener noreferrer";
+      a.textContent = link.label;
+      linksEl.appendChild(a);
+    }
+    headerTagEl.appendChild(linksEl);
+  }
+}
+
+export function updateForestViewport({ viewportEl, viewRect }) {
+  const store = forestStores.get(viewportEl);
+  if (!store) return;
+  syncColumns(store, viewRect);
+}
+
+function syncColumns(store, viewRect) {
+  const { args, worldEl, columns } = store;
+  const { layout } = args;
+
+  for (const [colId, p] of Object.entries(layout.pos)) {
+    const visible = !viewRect || rectsIntersect(columnCullRect(p, layout.metrics), viewRect);
+    let rec = columns.get(colId);
+
+    if (!visible) {
+      // Detach but keep the record, so the column keeps its identity when it
+      // comes back. Never tear down a running star sketch mid-hover.
+      if (rec?.el.isConnected && !rec.el.querySelector(".star-iframe")) rec.el.remove();
+      continue;
+    }
+
+    if (!rec) {
+      rec = createColumnRecord(colId);
+      columns.set(colId, rec);
+    }
+
+    // Patch once per render, lazily for columns that were off screen
+    if (rec.renderId !== store.renderId) {
+      patchColumn(store, rec, colId, p);
+      rec.renderId = store.renderId;
+    }
+
+    if (!rec.el.isConnected) worldEl.appendChild(rec.el);
+  }
+
+  // Columns whose layout entry disappeared
+  for (const [colId, rec] of columns) {
+    if (layout.pos[colId]) continue;
+    destroyColumn(rec);
+    columns.delete(colId);
+  }
+}
+
+// Column box grown by what renders outside it (row buttons, root title)
+function columnCullRect(p, metrics) {
+  const pad = metrics.nodeSize;
+  const rect = {
+    x: p.x - pad,
+    y: p.yTop - pad,
+    w: p.width + pad * 2,
+    h: p.height + pad * 2
+  };
+
+  // Root title: overhangs on the side the orientation puts it (see style.css)
+  if (p.depth === 0) {
+    const overhang = LAYOUT_CONFIG.rootTitleWidth;
+    if (metrics.orientation === "ltr") rect.x -= overhang;
+    rect.w += overhang;
+  }
+
+  return rect;
+}
+
+/**
+ * Brief highlight on the tile showing `nodeId` (or the root title, for roots),
+ * e.g. after the camera flew to it. No-op if it isn't mounted.
+ */
+export function pulseTile({ viewportEl, nodeId }) {
+  const store = forestStores.get(viewportEl);
+  if (!store) return;
+
+  let el = null;
+  for (const [colId, rec] of store.columns) {
+    el = rec.rows.get(nodeId)?.tileEl || (colId === nodeId ? (rec.titleEl || rec.el) : null);
+    if (el) break;
+  }
+  if (!el?.isConnected) return;
+
+  el.classList.remove("pulse");
+  void el.offsetWidth; // restart the animation
+  el.classList.add("pulse");
+  el.addEventListener("animationend", () => el.classList.remove("pulse"), { once: true });
+}
+
+// ------------------------------------------------------------
+// Zoom level of detail
+// ------------------------------------------------------------
+
+export const LOD_LEVELS = ["far", "mid", "near"];
+
+export function getZoomLevel(zoom, { far = 0.55, near = 1.4 } = {}) {
+  if (zoom < far) return "far";
+  if (zoom >= near) return "near";
+  return "mid";
+}
+
+/**
+ * Switch tile representation for the current zoom by toggling
+ * `lod-far | lod-mid | lod-near` on `canvasEl` (tiles + wires style off it).
+ * Cheap enough to call on every camera change; no re-layout or re-render.
+ */
+export function updateZoomLevel({ canvasEl, zoom, thresholds }) {
+  const level = getZoomLevel(zoom, thresholds);
+  if (canvasEl.dataset.lod === level) return;
+
+  canvasEl.dataset.lod = level;
+  for (const l of LOD_LEVELS) canvasEl.classList.toggle(`lod-${l}`, l === level);
+}
+
+// World rects of star tiles currently grown past their slot (hover preview),
+// measured from the DOM since layout only knows their 2× slot
+export function getExpandedTileRects({ canvasEl, viewportEl, pan, zoom }) {
+  const origin = canvasEl.getBoundingClientRect();
+  const z = zoom || 1;
+
+  return [...viewportEl.querySelectorAll(".star-square.star-expanded")].map((el) => {
+    const r = el.getBoundingClientRect();
+    return {
+      x: (r.left - origin.left - pan.x) / z,
+      y: (r.top - origin.top - pan.y) / z,
+      w: r.width / z,
+      h: r.height / z
+    };
+  });
+}
+
+// ------------------------------------------------------------
+// Columns
+// ------------------------------------------------------------
+
+function createColumnRecord(colId) {
+  const el = document.createElement("div");
+  el.className = "column-wrap";
+  el.dataset.colId = colId;
+
+  return { el, titleEl: null, plusEl: null, rows: new Map(), renderId: 0 };
+}
+
+function destroyColumn(rec) {
+  for (const row of rec.rows.values()) row.star?.destroy();
+  rec.el.remove();
+}
+
+function patchColumn(store, rec, colId, p) {
+  const { state, layout, mode = "viewer" } = store.args;
   const node = state.nodes[colId];
+  const orientation = getOrientation(layout);
+  const col = rec.el;
+
+  for (const o of ORIENTATIONS) col.classList.toggle(`orient-${o}`, o === orientation);
+  col.style.setProperty("--root-hue", String(getRootHue(state, p.rootId)));
+  col.style.left = `${p.x}px`;
+  col.style.top = `${p.yTop}px`;
+
+  // Mirrored columns grow their rows right-to-left from the column's far edge
+  col.style.width = orientation === "rtl" && typeof p.width === "number"
+    ? `${p.width}px`
+    : "";
+
+  // Root title
+  const title = p.depth === 0 && !isStarRootNode(node, colId)
+    ? (node?.title || "").trim()
+    : "";
+  if (title) {
+    if (!rec.titleEl) {
+      rec.titleEl = document.createElement("div");
+      rec.titleEl.className = "root-title";
+    }
+    if (rec.titleEl.textContent !== title) rec.titleEl.textContent = title;
+  } else if (rec.titleEl) {
+    rec.titleEl.remove();
+    rec.titleEl = null;
+  }
 
-  const col = document.createElement("div");
-  col.className = "column-wrap";
-  col.style.left = `${x}px`;
-  col.style.top = `${yTop}px`;
-
-  if (depth === 0) {
-    if (!isStarRootNode(node, colId)) {
-      const title = (node?.title || "").trim();
-      if (title) {
-        const header = document.createElement("div");
-        header.className = "root-title";
-        header.textContent = title;
-        col.appendChild(header);
-      }
+  // Rows come from layout (per-row tile sizes; missing children already skipped)
+  const rowEls = [];
+  const seen = new Set();
+
+  for (const row of p.rows || []) {
+    const child = state.nodes[row.id];
+    if (!child) continue;
+
+    let rowRec = rec.rows.get(row.id);
+    if (!rowRec) {
+      rowRec = createRowRecord();
+      rec.rows.set(row.id, rowRec);
     }
+
+    patchRow(store, rowRec, colId, row, child);
+    rowEls.push(rowRec.el);
+    seen.add(row.id);
+  }
+
+  for (const [childId, rowRec] of rec.rows) {
+    if (seen.has(childId)) continue;
+    rowRec.star?.destroy();
+    rowRec.el.remove();
+    rec.rows.delete(childId);
+  }
+
+  // Editor "+" button
+  if (mode === "editor" && !isStarRootNode(node, colId)) {
+    if (!rec.plusEl) {
+      const plus = document.createElement("button");
+      plus.className = "btn-plus";
+      plus.type = "button";
+      plus.textContent = "+";
+      plus.title = "Add child";
+      plus.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const { onAddChild } = store.args;
+        if (typeof onAddChild === "function") onAddChild(colId);
+      });
+      rec.plusEl = plus;
+    }
+  } else if (rec.plusEl) {
+    rec.plusEl.remove();
+    rec.plusEl = null;
   }
 
-  const expanded = toSet(node?.expandedChildren);
+  reorderChildren(col, [rec.titleEl, ...rowEls, rec.plusEl].filter(Boolean));
+}
 
-  (node?.children || []).forEach((childId) => {
-    const child = state.nodes[childId];
-    if (!child) return;
+// Put `desired` in order as the element's children, moving as few nodes as
+// possible (moving a row with a live iframe would reload it)
+function reorderChildren(parentEl, desired) {
+  for (let i = 0; i < desired.length; i++) {
+    const current = parentEl.children[i];
+    if (current !== desired[i]) parentEl.insertBefore(desired[i], current || null);
+  }
 
-    const isStar = child.kind === "star";
+  while (parentEl.children.length > desired.length) {
+    parentEl.lastElementChild.remove();
+  }
+}
 
-    const row = document.createElement("div");
-    row.className = "row";
+// ------------------------------------------------------------
+// Rows
+// ------------------------------------------------------------
 
-    let tile;
+function createRowRecord() {
+  const el = document.createElement("div");
+  el.className = "row";
+  return { el, tileEl: null, star: null, tileKey: "", buttonsKey: "", buttons: [] };
+}
+
+function patchRow(store, rowRec, colId, row, child) {
+  const { state, layout, mode = "viewer" } = store.args;
+  const childId = row.id;
+  const isStar = child.kind === "star";
+
+  // --- tile: rebuilt only when its kind/source changes ----------
+  const tileKey = isStar ? `star:${child.sourceId}` : "normal";
+  if (rowRec.tileKey !== tileKey) {
+    rowRec.star?.destroy();
+    rowRec.star = null;
+    rowRec.tileEl?.remove();
 
     if (isStar) {
-      tile = renderStarTile({
+      rowRec.star = renderStarTile({
         state,
         starNode: child,
-        nodeSize,
+        nodeSize: layout.metrics.nodeSize,
         mode,
-        getFilesForNode,
-        onDeleteStar,
-        onSaveThumbnailForNode
+        getFilesForNode: (id) => store.args.getFilesForNode?.(id),
+        onDeleteStar: (id) => store.args.onDeleteStar?.(id),
+        onSaveThumbnailForNode: (id, dataUrl) => store.args.onSaveThumbnailForNode?.(id, dataUrl)
       });
-      tile.addEventListener("click", (e) => e.stopPropagation());
+      rowRec.tileEl = rowRec.star.el;
+      rowRec.tileEl.addEventListener("click", (e) => e.stopPropagation());
     } else {
-      tile = document.createElement("div");
-      tile.className = "square";
-      tile.style.width = `${nodeSize}px`;
-      tile.style.height = `${nodeSize}px`;
-
-      if (child.thumbnailPath && child.thumbnailPath.trim()) {
-        tile.classList.add("has-thumb");
-        tile.style.backgroundImage = `url(${child.thumbnailPath})`;
-        tile.textContent = "";
-      } else {
-        tile.classList.remove("has-thumb");
-        tile.style.backgroundImage = "";
-        tile.textContent = child.title?.trim()
-          ? ""
-          : (child.label || child.id);
-      }
-
+      const tile = document.createElement("div");
       tile.addEventListener("click", (e) => {
         e.stopPropagation();
+        const { onNodeClick } = store.args;
         if (typeof onNodeClick === "function") onNodeClick(childId);
       });
+      rowRec.tileEl = tile;
     }
 
-    row.appendChild(tile);
-
-    if (mode === "editor" && !isStar) {
-      const alreadyBranched = expanded.has(childId);
-      if (!alreadyBranched) {
-        const arrow = document.createElement("button");
-        arrow.className = "btn";
-        arrow.type = "button";
-        arrow.textContent = "→";
-        arrow.title = "Spawn branch";
-        arrow.addEventListener("click", (e) => {
-          e.stopPropagation();
-          if (typeof onSpawnBranch === "function") onSpawnBranch(colId, childId);
-        });
-        row.appendChild(arrow);
-      }
+    rowRec.tileEl.dataset.nodeId = childId;
+    rowRec.el.prepend(rowRec.tileEl);
+    rowRec.tileKey = tileKey;
+  }
 
-      const isAlreadyStarred = !!child.starredId && !!state.nodes[child.starredId];
-      if (!isAlreadyStarred) {
-        const starBtn = document.createElement("button");
-        starBtn.className = "btn";
-        starBtn.type = "button";
-        starBtn.textContent = "★";
-        starBtn.title = "Create starred live tile";
-        starBtn.addEventListener("click", (e) => {
-          e.stopPropagation();
-          if (typeof onStarNode === "function") onStarNode(childId);
-        });
-        row.appendChild(starBtn);
-      }
+  if (isStar) rowRec.star.refresh();
+  else patchNormalTile(rowRec.tileEl, child, row.size);
+
+  // Tag filter ("hide" mode never gets here: those rows aren't laid out)
+  const { filter } = store.args;
+  rowRec.el.classList.toggle("is-filtered-out", isFilteredOut(filter, childId));
+  rowRec.el.classList.toggle("is-filter-match", !!filter?.active && filter.matchIds.has(childId));
+
+  // --- row buttons: rebuilt only when what they'd show changes --------
+  const expanded = toSet(state.nodes[colId]?.expandedChildren);
+  const glyphs = getBranchGlyphs(getOrientation(layout));
+
+  // A node's branch can only open from its primary parent's column (DAG lineage)
+  const canBranch = !isStar && findParentColumnId(state, childId, layout.parentIndex) === colId;
+  const isOpen = expanded.has(childId);
+  const isAlreadyStarred = !!child.starredId && !!state.nodes[child.starredId];
+  const hasKids = (child.children || []).length > 0;
+
+  const buttonsKey = [mode, isStar, canBranch, isOpen, isAlreadyStarred, hasKids, glyphs.open].join("|");
+  if (rowRec.buttonsKey === buttonsKey) return;
+
+  for (const b of rowRec.buttons) b.remove();
+  rowRec.buttons = [];
+  rowRec.buttonsKey = buttonsKey;
+
+  const addButton = ({ text, title, className = "btn", onClick }) => {
+    const btn = document.createElement("button");
+    btn.className = className;
+    btn.type = "button";
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    rowRec.el.appendChild(btn);
+    rowRec.buttons.push(btn);
+  };
+
+  if (mode === "editor" && !isStar) {
+    if (!isOpen && canBranch) {
+      addButton({
+        text: glyphs.open,
+        title: "Spawn branch",
+        onClick: () => store.args.onSpawnBranch?.(colId, childId)
+      });
     }
 
-    col.appendChild(row);
-  });
+    if (!isAlreadyStarred) {
+      addButton({
+        text: "★",
+        title: "Create starred live tile",
+        onClick: () => store.args.onStarNode?.(childId)
+      });
+    }
+  }
 
-  if (mode === "editor" && !isStarRootNode(node, colId)) {
-    const plus = document.createElement("button");
-    plus.className = "btn-plus";
-    plus.type = "button";
-    plus.textContent = "+";
-    plus.title = "Add child";
-    plus.addEventListener("click", (e) => {
-      e.stopPropagation();
-      if (typeof onAddChild === "function") onAddChild(colId);
+  // Viewer: visitors can open/fold branches that have something to show
+  if (mode === "viewer" && canBranch && hasKids) {
+    addButton({
+      text: isOpen ? glyphs.close : glyphs.open,
+      title: isOpen ? "Collapse branch" : "Expand branch",
+      className: `btn btn-branch${isOpen ? " is-open" : ""}`,
+      onClick: () => store.args.onToggleBranch?.(colId, childId)
     });
-    col.appendChild(plus);
   }
+}
+
+// Only touches what changed (re-setting backgroundImage can restart loads)
+function patchNormalTile(tile, child, size) {
+  const sizeClass = `size-${child.size || "normal"}`;
+  const thumb = (child.thumbnailPath || "").trim();
 
-  return col;
+  for (const cls of [...tile.classList]) {
+    if (cls.startsWith("size-") && cls !== sizeClass) tile.classList.remove(cls);
+  }
+  tile.classList.add("square", sizeClass);
+
+  const w = `${size}px`;
+  if (tile.style.width !== w) tile.style.width = w;
+  if (tile.style.height !== w) tile.style.height = w;
+
+  // Fallback label (no thumbnail, no title) + zoomed-in caption
+  let labelEl = tile.querySelector(".tile-label");
+  let captionEl = tile.querySelector(".tile-caption");
+  if (!labelEl) {
+    labelEl = document.createElement("span");
+    labelEl.className = "tile-label";
+    tile.appendChild(labelEl);
+  }
+  if (!captionEl) {
+    captionEl = document.createElement("div");
+    captionEl.className = "tile-caption";
+    captionEl.innerHTML = `<div class="tile-caption-title"></div><div class="tile-caption-desc"></div>`;
+    tile.appendChild(captionEl);
+  }
+
+  if (thumb) {
+    tile.classList.add("has-thumb");
+    const bg = `url(${thumb})`;
+    if (tile.dataset.thumb !== thumb) {
+      tile.style.backgroundImage = bg;
+      tile.dataset.thumb = thumb;
+    }
+  } else {
+    tile.classList.remove("has-thumb");
+    tile.style.backgroundImage = "";
+    delete tile.dataset.thumb;
+  }
+
+  const label = thumb || child.title?.trim() ? "" : (child.label || child.id);
+  if (labelEl.textContent !== label) labelEl.textContent = label;
+
+  const title = (child.title || "").trim() || child.label || child.id;
+  const desc = truncate((child.description || "").trim(), 90);
+  const [titleEl, descEl] = captionEl.children;
+  if (titleEl.textContent !== title) titleEl.textContent = title;
+  if (descEl.textContent !== desc) descEl.textContent = desc;
+
+  patchTagChips(tile, child.tags || []);
+}
+
+function patchTagChips(tile, tags) {
+  let chipsEl = tile.querySelector(".tile-tags");
+  const key = tags.join("\n");
+  if ((chipsEl?.dataset.key ?? "") === key) return;
+
+  if (!tags.length) {
+    chipsEl.remove();
+    return;
+  }
+
+  if (!chipsEl) {
+    chipsEl = document.createElement("div");
+    chipsEl.className = "tile-tags";
+    tile.appendChild(chipsEl);
+  }
+  chipsEl.dataset.key = key;
+  chipsEl.replaceChildren(...tags.map((tag) => {
+    const chip = document.createElement("span");
+    chip.className = "tag-chip";
+    chip.title = tag;
+    chip.style.background = getTagColor(tag);
+    return chip;
+  }));
+}
+
+// Stable per-week hue (golden-angle spacing over the root order)
+export function getRootHue(state, rootId) {
+  const index = rootId ? (state.roots || []).indexOf(rootId) : -1;
+  if (index < 0) return 220;
+  return Math.round((index * 137.508) % 360);
+}
+
+function truncate(text, max) {
+  if (text.length <= max) return text;
+  return `${text.slice(0, max - 1).trimEnd()}…`;
 }
 
 /**
  * ⭐ Star tile: thumbnail idle -> run sketch on hover -> capture thumb on leave -> reset state
+ *
+ * Touch / pen have no hover: a tap starts the preview (the running sketch
+ * then gets the touches) and a press anywhere outside the tile ends it, like
+ * leaving it with the mouse.
+ *
+ * Returns { el, refresh, destroy } so the reconciler can keep the tile alive
+ * across renders and clean up a running sketch when the tile goes away.
  */
 function renderStarTile({
   state,
@@ -237,10 +584,12 @@ function renderStarTile({
   wrap.style.height = `${baseSize}px`;
 
   const sourceId = starNode.sourceId;
-  const sourceNode = state.nodes[sourceId];
 
   // IDLE VIEW: show source thumbnail
+  let thumbPath = null; // what the background currently shows
+
   function setThumbBackground(path) {
+    thumbPath = path;
     if (path) {
       wrap.classList.add("has-thumb");
       wrap.style.backgroundImage = `url(${path})`;
@@ -249,7 +598,7 @@ function renderStarTile({
       wrap.style.backgroundImage = "";
     }
   }
-  setThumbBackground(sourceNode?.thumbnailPath || "");
+  setThumbBackground(state.nodes[sourceId]?.thumbnailPath || "");
 
   // Runtime (created only while hovered)
   let iframe = null;
@@ -333,6 +682,7 @@ function renderStarTile({
   async function mountSketchFresh() {
     // Remove thumbnail background while live sketch runs
     wrap.style.backgroundImage = "";
+    thumbPath = null;
 
     iframe = document.createElement("iframe");
     iframe.className = "star-iframe";
@@ -363,8 +713,11 @@ function renderStarTile({
       }
     });
 
-    // Give it a moment to draw at least one frame
+    // Give it a moment to draw at least one frame; the tile may have been
+    // reset (hover ended, culled, destroyed) meanwhile
+    const mounted = runner;
     await wait(60);
+    if (runner !== mounted) return;
     runner.resume?.();
 
     // Focus for keyboard events
@@ -420,28 +773,38 @@ function renderStarTile({
     });
   }
 
-  function setStarWireFocus(activeStarId) {
-    const wiresEl = document.getElementById("wires");
-    if (!wiresEl) return;
-    const starWires = wiresEl.querySelectorAll("path.star-wire");
-    if (!starWires.length) return;
+  // Hover handlers (mouse only: touch sends emulated enter/leave around taps)
+  wrap.addEventListener("pointerenter", (e) => {
+    if (e.pointerType === "mouse") startPreview();
+  });
 
-    starWires.forEach((path) => {
-      if (!activeStarId) {
-        path.style.display = "";
-        return;
-      }
+  wrap.addEventListener("pointerleave", (e) => {
+    if (e.pointerType === "mouse") endPreview();
+  });
 
-      const pathStarId = path.getAttribute("data-star-id");
-      path.style.display = pathStarId === activeStarId ? "" : "none";
-    });
+  // Tap-to-preview for touch / pen
+  let lastPointerType = "mouse";
+  wrap.addEventListener("pointerdown", (e) => {
+    lastPointerType = e.pointerType || "mouse";
+  });
+
+  function onOutsidePress(e) {
+    if (wrap.contains(e.target)) return;
+    endPreview();
   }
 
-  // Hover handlers
-  wrap.addEventListener("mouseenter", async () => {
+  function togglePreviewByTap() {
+    if (hovering) {
+      endPreview();
+    } else {
+      document.addEventListener("pointerdown", onOutsidePress, true);
+      startPreview();
+    }
+  }
+
+  async function startPreview() {
     if (hovering || capturing) return; // Prevent duplicate events
     hovering = true;
-    setStarWireFocus(starNode.id);
     
     // Initial expansion (will be adjusted when canvas dimensions are received)
     applyHoverSize(lastCanvasDim, shouldExpandAtZoom());
@@ -450,12 +813,12 @@ function renderStarTile({
     if (!iframe && !capturing) {
       await mountSketchFresh();
     }
-  });
+  }
 
-  wrap.addEventListener("mouseleave", async () => {
+  async function endPreview() {
     if (!hovering) return; // Prevent duplicate events
     hovering = false;
-    setStarWireFocus(null);
+    document.removeEventListener("pointerdown", onOutsidePress, true);
 
     // Collapse immediately for smooth animation
     collapseToTile();
@@ -491,10 +854,13 @@ function renderStarTile({
     setThumbBackground(newPath || freshSourceThumb);
 
     capturing = false;
-  });
+  }
 
-  // Star tiles never open editor/viewer
-  wrap.addEventListener("click", (e) => e.stopPropagation());
+  // Star tiles never open editor/viewer (a tap toggles the preview instead)
+  wrap.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (lastPointerType !== "mouse") togglePreviewByTap();
+  });
 
   if (mode === "editor") {
     const del = document.createElement("button");
@@ -511,7 +877,20 @@ function renderStarTile({
     wrap.appendChild(del);
   }
 
-  return wrap;
+  return {
+    el: wrap,
+    // Re-read the source thumbnail after a re-render (only while idle)
+    refresh() {
+      if (hovering || capturing || iframe) return;
+      const path = state.nodes[sourceId]?.thumbnailPath || "";
+      if (path !== thumbPath) setThumbBackground(path);
+    },
+    destroy() {
+      hovering = false;
+      document.removeEventListener("pointerdown", onOutsidePress, true);
+      unmountSketchReset();
+    }
+  };
 }
 
 function toSet(v) {
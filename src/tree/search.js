@@ -0,0 +1,97 @@
+// src/tree/search.js
+
+/**
+ * Fuzzy node search over titles, descriptions and ids.
+ *
+ * Scoring per field: a plain substring hit beats a scattered subsequence hit;
+ * within those, earlier / word-start / consecutive matches rank higher. Title
+ * and id hits outweigh description hits. Star tiles and star columns are
+ * skipped (they mirror a normal node that is searchable itself).
+ */
+
+import { isStarRootNode, findRootForNode, buildParentIndex } from "./starRoots.js";
+
+const FIELD_WEIGHTS = { title: 1, id: 0.9, description: 0.5 };
+
+export function searchNodes(state, query, { limit = 30 } = {}) {
+  const q = normalize(query);
+  if (!q) return [];
+
+  const results = [];
+  let parentIndex = null;
+
+  for (const [id, node] of Object.entries(state.nodes || {})) {
+    if (!node || node.kind === "star" || isStarRootNode(node, id)) continue;
+
+    let best = 0;
+    let field = "";
+    const fields = { title: node.title || "", id, description: node.description || "" };
+    for (const [name, text] of Object.entries(fields)) {
+      const score = fuzzyScore(q, normalize(text)) * FIELD_WEIGHTS[name];
+      if (score > best) {
+        best = score;
+        field = name;
+      }
+    }
+    if (best <= 0) continue;
+
+    parentIndex = parentIndex || buildParentIndex(state);
+    const rootId = node.kind === "root" ? id : findRootForNode(state, id, parentIndex);
+    results.push({
+      id,
+      score: best,
+      field,
+      title: (node.title || "").trim() || node.label || id,
+      rootTitle: rootId && rootId !== id ? (state.nodes[rootId]?.title || rootId) : ""
+    });
+  }
+
+  results.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+  return results.slice(0, limit);
+}
+
+/**
+ * 0 when `query` isn't a subsequence of `text`; higher is better.
+ * Both are expected lower-cased (see normalize).
+ */
+export function fuzzyScore(query, text) {
+  if (!query || !text) return 0;
+
+  if (text === query) return 150;
+
+  const at = text.indexOf(query);
+  if (at >= 0) {
+    const wordStart = at === 0 || isBoundary(text[at - 1]);
+    return 100 + (wordStart ? 20 : 0) - Math.min(at, 50) * 0.2 + (query.length / text.length) * 10;
+  }
+
+  let score = 0;
+  let ti = 0;
+  let prev = -2;
+  for (const ch of query) {
+    const found = text.indexOf(ch, ti);
+    if (found < 0) return 0;
+
+    score += 1;
+    if (found === prev + 1) score += 3;                        // consecutive
+    if (found === 0 || isBoundary(text[found - 1])) score += 2; // word start
+    score -= Math.min(found - ti, 10) * 0.1;                   // gap
+
+    prev = found;
+    ti = found + 1;
+  }
+
+  return Math.max(0.1, score);
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function normalize(text) {
+  return String(text || "").trim().toLowerCase();
+}
+
+function isBoundary(ch) {
+  return /[\s\-_:./,()]/.test(ch);
+}
@@ -0,0 +1,120 @@
+// src/tree/searchPalette.js
+
+/**
+ * Search palette (viewer): Ctrl/Cmd+K opens a box over the tree with a live
+ * result list (see search.js). ↑/↓ move, Enter picks, Esc closes.
+ * onPick(nodeId) is called after the palette has closed.
+ */
+
+import { searchNodes } from "./search.js";
+
+export function createSearchPalette({ state, onPick, isBlocked }) {
+  const el = document.createElement("div");
+  el.className = "search-palette";
+  el.hidden = true;
+  el.innerHTML = `
+    <div class="search-box" role="dialog" aria-label="Search sketches">
+      <input class="search-input" type="search" placeholder="Search sketches…" autocomplete="off" spellcheck="false" />
+      <ul class="search-results" role="listbox"></ul>
+    </div>
+  `;
+
+  const inputEl = el.querySelector(".search-input");
+  const listEl = el.querySelector(".search-results");
+
+  let results = [];
+  let activeIndex = 0;
+
+  function open() {
+    if (!el.hidden) return;
+    el.hidden = false;
+    inputEl.select();
+    inputEl.focus();
+    update();
+  }
+
+  function close() {
+    el.hidden = true;
+    inputEl.blur();
+  }
+
+  function pick(index) {
+    const result = results[index];
+    if (!result) return;
+    close();
+    onPick?.(result.id);
+  }
+
+  function update() {
+    results = searchNodes(state, inputEl.value);
+    activeIndex = 0;
+
+    listEl.replaceChildren(...results.map((r, i) => {
+      const li = document.createElement("li");
+      li.className = "search-result";
+      li.setAttribute("role", "option");
+
+      const titleEl = document.createElement("div");
+      titleEl.className = "search-result-title";
+      titleEl.textContent = r.title;
+
+      const metaEl = document.createElement("div");
+      metaEl.className = "search-result-meta";
+      metaEl.textContent = [r.id, r.rootTitle].filter(Boolean).join(" · ");
+
+      li.append(titleEl, metaEl);
+      li.addEventListener("mousemove", () => setActive(i));
+      li.addEventListener("click", () => pick(i));
+      return li;
+    }));
+
+    listEl.hidden = results.length === 0;
+    setActive(0);
+  }
+
+  function setActive(index) {
+    if (results.length === 0) return;
+    activeIndex = (index + results.length) % results.length;
+
+    [...listEl.children].forEach((li, i) => {
+      const on = i === activeIndex;
+      li.classList.toggle("is-active", on);
+      li.setAttribute("aria-selected", String(on));
+      if (on) li.scrollIntoView?.({ block: "nearest" });
+    });
+  }
+
+  inputEl.addEventListener("input", update);
+
+  inputEl.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive(activeIndex + 1);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive(activeIndex - 1);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      pick(activeIndex);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  // Click on the backdrop closes
+  el.addEventListener("mousedown", (e) => {
+    if (e.target === el) close();
+  });
+
+  window.addEventListener("keydown", (e) => {
+    if ((e.key || "").toLowerCase() !== "k" || !(e.metaKey || e.ctrlKey)) return;
+    if (isBlocked?.()) return;
+    e.preventDefault();
+    if (el.hidden) open();
+    else close();
+  });
+
+  return { el, open, close, isOpen: () => !el.hidden };
+}
@@ -50,22 +50,163 @@ export function getStarRootIds(state) {
     .map(([id]) => id);
 }
 
-export function findParentColumnId(state, childId) {
+/**
+ * Lineage helpers.
+ *
+ * A node is *displayed* in exactly one column: its primary parent. That's the
+ * first entry of `node.parents` that actually lists it in `children`, else the
+ * first column found listing it. Any other parents (extra `children` listings,
+ * the rest of `parents`, and `mergedFrom`) are secondary: drawn as merge wires,
+ * never laid out twice.
+ *
+ * Each lookup takes an optional `parentIndex` (buildParentIndex): build it once
+ * per render and pass it along, since without it every lookup scans all nodes.
+ */
+
+// childId -> ids of every node listing it in `children`, in state.nodes order (one pass)
+export function buildParentIndex(state) {
+  const index = new Map();
+  for (const [id, node] of Object.entries(state.nodes || {})) {
+    if (!Array.isArray(node?.children)) continue;
+    for (const childId of node.children) {
+      const ids = index.get(childId);
+      if (!ids) index.set(childId, [id]);
+      else if (!ids.includes(id)) ids.push(id);
+    }
+  }
+  return index;
+}
+
+export function findParentColumnIds(state, childId, parentIndex = null) {
+  if (parentIndex) return parentIndex.get(childId) || [];
+
+  const ids = [];
   for (const [id, node] of Object.entries(state.nodes || {})) {
     if (!node?.children) continue;
-    if (node.children.includes(childId)) return id;
+    if (node.children.includes(childId)) ids.push(id);
   }
-  return null;
+  return ids;
+}
+
+export function findParentColumnId(state, childId, parentIndex = null) {
+  const listed = findParentColumnIds(state, childId, parentIndex);
+  if (listed.length === 0) return null;
+
+  const declared = state.nodes[childId]?.parents;
+  if (Array.isArray(declared)) {
+    const primary = declared.find((pid) => listed.includes(pid));
+    if (primary) return primary;
+  }
+
+  return listed[0];
+}
+
+// childId -> primary parent column id, for every displayed node
+export function buildPrimaryParentIndex(state, parentIndex = buildParentIndex(state)) {
+  const index = new Map();
+  for (const childId of parentIndex.keys()) {
+    if (!state.nodes[childId]) continue;
+    const parentId = findParentColumnId(state, childId, parentIndex);
+    if (parentId) index.set(childId, parentId);
+  }
+  return index;
 }
 
-export function findRootForNode(state, nodeId) {
+/**
+ * Layout only follows `children`, so a node that names parents in `parents`
+ * but isn't listed by any of them would never show. Append it to its first
+ * declared parent's `children` (making that its primary parent) and warn, so
+ * the data can be fixed at the source. Returns the ids it linked.
+ */
+export function linkDeclaredParents(state, parentIndex = buildParentIndex(state)) {
+  const roots = new Set(state.roots || []);
+  const linked = [];
+
+  for (const [id, node] of Object.entries(state.nodes || {})) {
+    if (!Array.isArray(node?.parents) || node.parents.length === 0) continue;
+    if (roots.has(id) || findParentColumnIds(state, id, parentIndex).length > 0) continue;
+
+    const parentId = node.parents.find((pid) => {
+      const p = state.nodes[pid];
+      return pid !== id && p && p.kind !== "star" && !isStarRootNode(p, pid);
+    });
+    if (!parentId) continue;
+
+    const parent = state.nodes[parentId];
+    parent.children = Array.isArray(parent.children) ? parent.children : [];
+    parent.children.push(id);
+    parentIndex.set(id, [parentId]);
+    linked.push(id);
+
+    console.warn(
+      `sketches.json: "${id}" names parent "${parentId}" in \`parents\`, but no node ` +
+      `lists it in \`children\`; showing it under "${parentId}".`
+    );
+  }
+
+  return linked;
+}
+
+export function getMergeParentIds(state, nodeId, parentIndex = null) {
+  const node = state.nodes[nodeId];
+  if (!node) return [];
+
+  const primary = findParentColumnId(state, nodeId, parentIndex);
+  const candidates = [
+    ...findParentColumnIds(state, nodeId, parentIndex),
+    ...(Array.isArray(node.parents) ? node.parents : []),
+    ...(Array.isArray(node.mergedFrom) ? node.mergedFrom : [])
+  ];
+
+  const out = [];
+  for (const id of candidates) {
+    if (!id || id === primary || id === nodeId || out.includes(id)) continue;
+    const n = state.nodes[id];
+    if (!n || n.kind === "star" || isStarRootNode(n, id)) continue;
+    out.push(id);
+  }
+  return out;
+}
+
+/**
+ * Cross-links ("Inspired by"): `node.references` may point at any other
+ * sketch, in any root. Missing ids, self-links, star tiles and star roots are
+ * dropped.
+ */
+export function getReferenceIds(state, nodeId) {
+  const node = state.nodes[nodeId];
+  if (!node || !Array.isArray(node.references)) return [];
+
+  const out = [];
+  for (const id of node.references) {
+    if (!id || id === nodeId || out.includes(id)) continue;
+    const n = state.nodes[id];
+    if (!n || n.kind === "star" || isStarRootNode(n, id)) continue;
+    out.push(id);
+  }
+  return out;
+}
+
+// Inverse of getReferenceIds: every node whose references include nodeId
+export function getReferencedByIds(state, nodeId) {
+  const out = [];
+  for (const id of Object.keys(state.nodes || {})) {
+    if (getReferenceIds(state, id).includes(nodeId)) out.push(id);
+  }
+  return out;
+}
+
+export function findRootForNode(state, nodeId, parentIndex = null) {
   if (!nodeId) return null;
 
   let current = nodeId;
-  let guard = 0;
+  const seen = new Set();
+
+  // Follow primary parents only; `seen` guards against cyclic data
+  while (current && !seen.has(current)) {
+    seen.add(current);
 
-  while (current && guard++ < 10000) {
-    const parentId = findParentColumnId(state, current);
+    const parentId = findParentColumnId(state, current, parentIndex);
     if (!parentId) {
       const n = state.nodes[current];
       return n?.kind === "root" ? current : null;
@@ -0,0 +1,96 @@
+// src/tree/tagFilter.js
+
+/**
+ * Node tags + tag filter.
+ *
+ * Nodes may carry `tags: ["vectors", "forces", ...]` in sketches.json. A filter
+ * selects any number of tags (a node matches if it has at least one) and a mode:
+ * - "dim":  everything stays laid out; non-matching tiles are faded
+ * - "hide": non-matching tiles are dropped from layout (opts.hiddenIds)
+ *
+ * Ancestors of matches (primary-parent chain, see starRoots.js) are always
+ * kept so the lineage leading to a match stays readable. Star tiles follow
+ * their source node.
+ */
+
+import { buildPrimaryParentIndex, isStarRootNode } from "./starRoots.js";
+import { TAG_COLORS } from "../config.js";
+
+export const FILTER_MODES = ["dim", "hide"];
+
+const INACTIVE_FILTER = {
+  active: false,
+  mode: "dim",
+  matchIds: new Set(),
+  keepIds: new Set(),
+  hiddenIds: new Set()
+};
+
+// All tags in use, most common first (ties alphabetical)
+export function collectTags(state) {
+  const counts = new Map();
+  for (const node of Object.values(state.nodes || {})) {
+    for (const tag of node.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag]) => tag);
+}
+
+// Configured colour, else a stable hue from the tag's name
+export function getTagColor(tag) {
+  if (TAG_COLORS[tag]) return TAG_COLORS[tag];
+
+  let h = 0;
+  for (let i = 0; i < tag.length; i++) h = (h * 31 + tag.charCodeAt(i)) >>> 0;
+  return `hsl(${h % 360} 60% 58%)`;
+}
+
+/**
+ * Resolve a filter selection `{ tags: Set|Array, mode }` against the tree:
+ * { active, mode, matchIds, keepIds, hiddenIds } (all Sets of node ids).
+ * `hiddenIds` is only filled in "hide" mode and is meant for layoutForest.
+ * `parentIndex` (optional, starRoots.buildParentIndex) saves a scan of every node.
+ */
+export function computeTagFilter(state, selection, parentIndex) {
+  const tags = new Set(selection?.tags || []);
+  if (tags.size === 0) return INACTIVE_FILTER;
+
+  const mode = FILTER_MODES.includes(selection.mode) ? selection.mode : "dim";
+  const nodes = state.nodes || {};
+  const primaryParent = buildPrimaryParentIndex(state, parentIndex);
+
+  const matchIds = new Set();
+  for (const [id, node] of Object.entries(nodes)) {
+    if ((node.tags || []).some((t) => tags.has(t))) matchIds.add(id);
+  }
+
+  const keepIds = new Set();
+  for (const id of matchIds) {
+    let current = id;
+    while (current && !keepIds.has(current)) {
+      keepIds.add(current);
+      current = primaryParent.get(current);
+    }
+  }
+
+  // Star tiles mirror their source
+  for (const [id, node] of Object.entries(nodes)) {
+    if (node.kind === "star" && keepIds.has(node.sourceId)) keepIds.add(id);
+  }
+
+  const hiddenIds = new Set();
+  if (mode === "hide") {
+    for (const [id, node] of Object.entries(nodes)) {
+      if (keepIds.has(id) || node.kind === "root" || isStarRootNode(node, id)) continue;
+      hiddenIds.add(id);
+    }
+  }
+
+  return { active: true, mode, matchIds, keepIds, hiddenIds };
+}
+
+export function isFilteredOut(filter, nodeId) {
+  return !!filter?.active && !filter.keepIds.has(nodeId);
+}
@@ -0,0 +1,307 @@
+// src/tree/wireStyles.js
+
+/**
+ * Wire shapes + per-kind wire styling.
+ *
+ * Styles (WIRE_CONFIG.style, or per kind):
+ * - "bezier": cubic leaving / entering along the layout axis (the original look)
+ * - "orthogonal": axis-aligned elbow at the midpoint, corners rounded by
+ *   `cornerRadius`; radial layouts go out along the radius, around the mid
+ *   ring, then in again
+ * - "straight": a line between the anchors
+ * - "tapered": the bezier as a filled ribbon that thins out with depth
+ *   (`taper`: width × max(minScale, rootScale − depth × step), from the
+ *   parent's depth to the child's). A fill can't be dashed, so kinds with a
+ *   `dash` stay a stroked bezier at the parent end's width instead
+ * - "arc": a curve bowing off to one side by `arcBend` × its length (the
+ *   default for cross-links, so they don't read as branches); a negative
+ *   `arcBend` bows to the other side
+ *
+ * Kinds: branch, merge, star, link (cross-links), each { style?, stroke,
+ * width, dash }. resolveWireConfig() merges a data-file `wires` block over
+ * config.js WIRE_CONFIG; unknown styles fall back to the base config, and
+ * `labels: false` switches the wire labels off.
+ */
+
+import { WIRE_CONFIG } from "../config.js";
+
+export const WIRE_STYLES = ["bezier", "orthogonal", "straight", "tapered", "arc"];
+
+export const WIRE_KINDS = ["branch", "merge", "star", "link"];
+
+// Samples per side of a tapered ribbon
+const TAPER_SEGMENTS = 20;
+
+// Samples used to bound a radial elbow's arc
+const ARC_SAMPLES = 8;
+
+export function resolveWireConfig(base, override) {
+  const src = override && typeof override === "object" ? override : {};
+
+  const kinds = {};
+  for (const kind of WIRE_KINDS) {
+    kinds[kind] = resolveKind(base.kinds?.[kind], src.kinds?.[kind]);
+  }
+
+  return {
+    ...base,
+    style: pickStyle(src.style, base.style),
+    cornerRadius: pickNumber(src.cornerRadius, base.cornerRadius ?? 0),
+    arcBend: pickNumber(src.arcBend, base.arcBend ?? 0.2, -Infinity),
+    taper: {
+      ...base.taper,
+      ...pickNumbers(src.taper, ["rootScale", "step", "minScale"])
+    },
+    kinds,
+    labels: pickLabels(src.labels, base.labels)
+  };
+}
+
+// Stroke width at a column depth for the "tapered" style (missing taper
+// settings come from config.js, like everywhere else)
+export function taperWidth(width, depth, taper) {
+  const { rootScale, step, minScale } = { ...WIRE_CONFIG.taper, ...taper };
+  return width * Math.max(minScale, rootScale - (depth || 0) * step);
+}
+
+/**
+ * Path data for a wire between two anchors.
+ * Returns { d, points, filled, mid }: `points` bound the shape (for culling /
+ * SVG sizing), `filled` means d is an outline to fill instead of stroke, and
+ * `mid` is the [x, y] halfway along the path (where edge labels sit).
+ */
+export function buildWirePath({
+  x1,
+  y1,
+  x2,
+  y2,
+  axis = "x",                 // tangent direction at both ends: "x" | "y" | "radial"
+  center = null,              // radial only: polar origin
+  style = "bezier",
+  cornerRadius = 0,           // orthogonal only
+  arcBend = 0.2,              // arc only
+  startWidth = 2,             // tapered only: width at the parent / child end
+  endWidth = 2
+}) {
+  const radial = axis === "radial" && center;
+
+  if (style === "straight") {
+    return {
+      d: `M ${x1} ${y1} L ${x2} ${y2}`,
+      points: [[x1, y1], [x2, y2]],
+      filled: false,
+      mid: [(x1 + x2) / 2, (y1 + y2) / 2]
+    };
+  }
+
+  if (style === "arc") {
+    // Quadratic whose control sits off the chord's midpoint (chord normal × length × bend)
+    const cx = (x1 + x2) / 2 + (y2 - y1) * arcBend;
+    const cy = (y1 + y2) / 2 - (x2 - x1) * arcBend;
+    return {
+      d: `M ${x1} ${y1} Q ${cx} ${cy} ${x2} ${y2}`,
+      points: [[x1, y1], [cx, cy], [x2, y2]],
+      filled: false,
+      mid: [(x1 + 2 * cx + x2) / 4, (y1 + 2 * cy + y2) / 4]
+    };
+  }
+
+  if (style === "orthogonal") {
+    return radial
+      ? radialElbow({ x1, y1, x2, y2, center })
+      : elbow({ x1, y1, x2, y2, axis, r: cornerRadius });
+  }
+
+  const controls = cubicControls({ x1, y1, x2, y2, axis, center });
+
+  if (style === "tapered") {
+    return taperedRibbon(controls, startWidth, endWidth);
+  }
+
+  const [p0, c1, c2, p3] = controls;
+  return {
+    d: `M ${p0[0]} ${p0[1]} C ${c1[0]} ${c1[1]}, ${c2[0]} ${c2[1]}, ${p3[0]} ${p3[1]}`,
+    points: controls,
+    filled: false,
+    mid: cubicPoint(controls, 0.5)
+  };
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function resolveKind(base = {}, override) {
+  const src = override && typeof override === "object" ? override : {};
+  const out = { ...base };
+
+  if (src.style !== undefined) out.style = pickStyle(src.style, base.style);
+  if (typeof src.stroke === "string" && src.stroke.trim()) out.stroke = src.stroke.trim();
+  if (src.width !== undefined) out.width = pickNumber(src.width, base.width);
+  // null / "" / false turn a dash off
+  if (src.dash !== undefined) out.dash = src.dash ? String(src.dash) : null;
+
+  return out;
+}
+
+function pickStyle(value, fallback) {
+  return WIRE_STYLES.includes(value) ? value : fallback;
+}
+
+function pickNumber(value, fallback, min = 0) {
+  const n = Number(value);
+  return value !== null && value !== "" && Number.isFinite(n) && n >= min ? n : fallback;
+}
+
+// false turns labels off; an object overrides the base options
+function pickLabels(value, fallback) {
+  if (value === false) return false;
+  if (!value || typeof value !== "object") return fallback;
+  return { ...fallback, ...value };
+}
+
+function pickNumbers(src, keys) {
+  const out = {};
+  if (!src || typeof src !== "object") return out;
+  for (const key of keys) {
+    const n = pickNumber(src[key], undefined);
+    if (n !== undefined) out[key] = n;
+  }
+  return out;
+}
+
+function cubicControls({ x1, y1, x2, y2, axis, center }) {
+  let c1;
+  let c2;
+
+  if (axis === "radial" && center) {
+    // Leave/enter along the radius: controls sit on the mid ring at each end's angle
+    const a1 = Math.atan2(y1 - center.y, x1 - center.x);
+    const a2 = Math.atan2(y2 - center.y, x2 - center.x);
+    const r1 = Math.hypot(x1 - center.x, y1 - center.y);
+    const r2 = Math.hypot(x2 - center.x, y2 - center.y);
+    const rm = (r1 + r2) / 2;
+
+    c1 = [center.x + Math.cos(a1) * rm, center.y + Math.sin(a1) * rm];
+    c2 = [center.x + Math.cos(a2) * rm, center.y + Math.sin(a2) * rm];
+  } else if (axis === "y") {
+    const mid = (y1 + y2) / 2;
+    c1 = [x1, mid];
+    c2 = [x2, mid];
+  } else {
+    const mid = (x1 + x2) / 2;
+    c1 = [mid, y1];
+    c2 = [mid, y2];
+  }
+
+  return [[x1, y1], c1, c2, [x2, y2]];
+}
+
+// Axis-aligned elbow, worked out in (u along the axis, v across it)
+function elbow({ x1, y1, x2, y2, axis, r }) {
+  const flip = axis === "y";
+  const toXY = (u, v) => (flip ? [v, u] : [u, v]);
+  const [u1, v1] = flip ? [y1, x1] : [x1, y1];
+  const [u2, v2] = flip ? [y2, x2] : [x2, y2];
+
+  if (v1 === v2) {
+    return {
+      d: `M ${x1} ${y1} L ${x2} ${y2}`,
+      points: [[x1, y1], [x2, y2]],
+      filled: false,
+      mid: [(x1 + x2) / 2, (y1 + y2) / 2]
+    };
+  }
+
+  const mid = (u1 + u2) / 2;
+  const su = Math.sign(u2 - u1) || 1;
+  const sv = Math.sign(v2 - v1);
+  const k = Math.max(0, Math.min(r, Math.abs(mid - u1), Math.abs(v2 - v1) / 2));
+
+  const pts = [
+    toXY(u1, v1),
+    toXY(mid - k * su, v1),
+    toXY(mid, v1),                // corner (quadratic control)
+    toXY(mid, v1 + k * sv),
+    toXY(mid, v2 - k * sv),
+    toXY(mid, v2),                // corner (quadratic control)
+    toXY(mid + k * su, v2),
+    toXY(u2, v2)
+  ];
+  const [a, b, c, e, f, g, h, i] = pts.map((p) => `${p[0]} ${p[1]}`);
+
+  return {
+    d: `M ${a} L ${b} Q ${c} ${e} L ${f} Q ${g} ${h} L ${i}`,
+    points: pts,
+    filled: false,
+    mid: toXY(mid, (v1 + v2) / 2)
+  };
+}
+
+// Radius out → arc around the mid ring → radius in
+function radialElbow({ x1, y1, x2, y2, center }) {
+  const a1 = Math.atan2(y1 - center.y, x1 - center.x);
+  const a2 = Math.atan2(y2 - center.y, x2 - center.x);
+  const rm = (Math.hypot(x1 - center.x, y1 - center.y) + Math.hypot(x2 - center.x, y2 - center.y)) / 2;
+
+  let delta = a2 - a1;
+  while (delta > Math.PI) delta -= Math.PI * 2;
+  while (delta <= -Math.PI) delta += Math.PI * 2;
+
+  const at = (a) => [center.x + Math.cos(a) * rm, center.y + Math.sin(a) * rm];
+  const m1 = at(a1);
+  const m2 = at(a1 + delta);
+
+  const points = [[x1, y1], [x2, y2]];
+  for (let i = 0; i <= ARC_SAMPLES; i++) points.push(at(a1 + (delta * i) / ARC_SAMPLES));
+
+  return {
+    d: `M ${x1} ${y1} L ${m1[0]} ${m1[1]} A ${rm} ${rm} 0 0 ${delta > 0 ? 1 : 0} ${m2[0]} ${m2[1]} L ${x2} ${y2}`,
+    points,
+    filled: false,
+    mid: at(a1 + delta / 2)
+  };
+}
+
+// The cubic as a filled outline whose width runs from w0 to w1
+function taperedRibbon([p0, p1, p2, p3], w0, w1) {
+  const left = [];
+  const right = [];
+
+  for (let i = 0; i <= TAPER_SEGMENTS; i++) {
+    const t = i / TAPER_SEGMENTS;
+    const mt = 1 - t;
+
+    const [x, y] = cubicPoint([p0, p1, p2, p3], t);
+    const dx = 3 * mt * mt * (p1[0] - p0[0]) + 6 * mt * t * (p2[0] - p1[0]) + 3 * t * t * (p3[0] - p2[0]);
+    const dy = 3 * mt * mt * (p1[1] - p0[1]) + 6 * mt * t * (p2[1] - p1[1]) + 3 * t * t * (p3[1] - p2[1]);
+
+    const len = Math.hypot(dx, dy) || 1;
+    const half = (w0 + (w1 - w0) * t) / 2;
+    const nx = (-dy / len) * half;
+    const ny = (dx / len) * half;
+
+    left.push([x + nx, y + ny]);
+    right.push([x - nx, y - ny]);
+  }
+
+  const outline = [...left, ...right.reverse()];
+  const d = `M ${outline.map((p) => `${round(p[0])} ${round(p[1])}`).join(" L ")} Z`;
+  return { d, points: outline, filled: true, mid: cubicPoint([p0, p1, p2, p3], 0.5) };
+}
+
+function cubicPoint([p0, p1, p2, p3], t) {
+  const mt = 1 - t;
+  const a = mt * mt * mt;
+  const b = 3 * mt * mt * t;
+  const c = 3 * mt * t * t;
+  const e = t * t * t;
+  return [
+    a * p0[0] + b * p1[0] + c * p2[0] + e * p3[0],
+    a * p0[1] + b * p1[1] + c * p2[1] + e * p3[1]
+  ];
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
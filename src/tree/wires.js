@@ -5,22 +5,144 @@
  * - Never draws wires to missing nodes
  * - Never draws wires if parent-child relationship no longer exists
  * - Star wires only draw when source.starredId exists and is valid
+ * - Merge wires (secondary parents, see starRoots.js) only draw when both
+ *   tiles are laid out
+ * - Cross-link wires (`references`: referenced sketch → the sketch it
+ *   inspired) only draw for valid references whose tiles are both laid out
+ *
+ * Edge labels (optional `labels` config): each child tile gets its
+ * `changeNote` and/or a "+N −M" line-diff summary against its primary parent,
+ * centred halfway along the parent tile → child tile wire. A column's first
+ * tile already has that wire (the branch wire); labelled tiles further down
+ * get a connector of their own (`row-wire`, hidden with the labels at far
+ * zoom). Labels mount in a layer above the wires.
+ *
+ * Every wire carries data-parent-id / data-child-id (star wires: source → star)
+ * so lineage highlighting (lineage.js) can pick out a path.
+ *
+ * Tag filter: with an active `filter` (tagFilter.js) wires leading to
+ * filtered-out nodes get the `is-filtered-out` class and fade.
+ *
+ * Shape + stroke per wire kind (branch / merge / star / link) come from `config`
+ * (config.js WIRE_CONFIG merged with the data file's `wires` block, see
+ * wireStyles.js): bezier, orthogonal elbow, straight, or tapered by depth.
+ *
+ * The SVG is sized and placed on the layout's world bounds (negative
+ * coordinates included) on every render, instead of a fixed-size canvas.
+ *
+ * Culling: with `viewRect` only wires whose bounds intersect it are put in the
+ * DOM; updateWiresViewport() re-syncs that as the camera moves.
  */
 
-import { isStarRootNode, findParentColumnId } from "./starRoots.js";
+import {
+  isStarRootNode,
+  findParentColumnId,
+  getMergeParentIds,
+  getReferenceIds
+} from "./starRoots.js";
+import {
+  getRowRect,
+  getColumnEntryRect,
+  getNodeTileRect,
+  getWireAnchors,
+  getLayoutBounds,
+  unionRects,
+  rectsIntersect
+} from "./geometry.js";
+import { isFilteredOut } from "./tagFilter.js";
+import { diffFiles } from "./lineDiff.js";
+import { buildWirePath, taperWidth } from "./wireStyles.js";
+import { WIRE_CONFIG } from "../config.js";
+
+// wiresEl -> { items, pathsEl, labelsEl }: every wire + label of the last
+// render (mounted or not) and the layers they mount into (labels on top)
+const wireStores = new WeakMap();
 
-export function renderWires({ state, layout, wiresEl }) {
-  const { pos, edges, metrics } = layout;
-  const { nodeSize, rowHeight } = metrics;
+// Breathing room around the layout so stroke caps aren't clipped
+const SVG_MARGIN = 64;
 
-  // Star tiles are 2× size; layout.js provides starRowHeight
-  const starRowHeight = metrics.starRowHeight ?? (nodeSize * 2 + (metrics.gapY ?? 14));
+const SVG_NS = "http://www.w3.org/2000/svg";
 
-  wiresEl.setAttribute("width", "50000");
-  wiresEl.setAttribute("height", "50000");
-  wiresEl.setAttribute("viewBox", "0 0 50000 50000");
+export function renderWires({
+  state,
+  layout,
+  wiresEl,
+  viewRect = null,
+  filter = null,
+  config = WIRE_CONFIG   // resolved wire config (wireStyles.resolveWireConfig)
+}) {
   wiresEl.innerHTML = "";
 
+  const pathsEl = document.createElementNS(SVG_NS, "g");
+  pathsEl.setAttribute("class", "wire-paths");
+  const labelsEl = document.createElementNS(SVG_NS, "g");
+  labelsEl.setAttribute("class", "wire-labels");
+  wiresEl.append(pathsEl, labelsEl);
+
+  const labels = config.labels;
+  const items = [
+    ...collectWires({ state, layout, filter, config }),
+    ...(labels ? collectWireLabels({ state, layout, filter, config }) : [])
+  ];
+  const store = { items, pathsEl, labelsEl };
+  wireStores.set(wiresEl, store);
+
+  fitSvgToBounds(wiresEl, layout, items);
+
+  syncMountedWires(store, viewRect);
+}
+
+export function updateWiresViewport({ wiresEl, viewRect }) {
+  const store = wireStores.get(wiresEl);
+  if (!store) return;
+  syncMountedWires(store, viewRect);
+}
+
+/**
+ * Size + place the SVG on the world-space bounds of the layout (and its wires),
+ * negative coordinates included. The SVG shares the viewport's pan/zoom
+ * transform, so its transform-origin is moved back to world (0, 0).
+ */
+function fitSvgToBounds(wiresEl, layout, wires) {
+  let bounds = getLayoutBounds(layout);
+  for (const wire of wires) bounds = unionRects(bounds, wire.bbox);
+  if (!bounds) bounds = { x: 0, y: 0, w: 0, h: 0 };
+
+  const x = Math.floor(bounds.x - SVG_MARGIN);
+  const y = Math.floor(bounds.y - SVG_MARGIN);
+  const w = Math.ceil(bounds.w + SVG_MARGIN * 2);
+  const h = Math.ceil(bounds.h + SVG_MARGIN * 2);
+
+  wiresEl.setAttribute("width", String(w));
+  wiresEl.setAttribute("height", String(h));
+  wiresEl.setAttribute("viewBox", `${x} ${y} ${w} ${h}`);
+
+  wiresEl.style.left = `${x}px`;
+  wiresEl.style.top = `${y}px`;
+  wiresEl.style.width = `${w}px`;
+  wiresEl.style.height = `${h}px`;
+  wiresEl.style.transformOrigin = `${-x}px ${-y}px`;
+}
+
+function syncMountedWires({ items, pathsEl, labelsEl }, viewRect) {
+  for (const item of items) {
+    const visible = !viewRect || rectsIntersect(item.bbox, viewRect);
+
+    if (visible && !item.el?.isConnected) {
+      const isLabel = item.type === "label";
+      item.el = item.el || (isLabel ? createWireLabel(item) : createWirePath(item));
+      (isLabel ? labelsEl : pathsEl).appendChild(item.el);
+    } else if (!visible && item.el?.isConnected) {
+      item.el.remove();
+    }
+  }
+}
+
+function collectWires({ state, layout, filter, config }) {
+  const { pos, edges } = layout;
+  const wire = (spec) => styledWire(config, spec);
+  const wires = [];
+
   // ------------------------------------------------------------
   // 1) Normal expanded-branch wires (existing behavior)
   // ------------------------------------------------------------
@@ -39,33 +161,91 @@ export function renderWires({ state, layout, wiresEl }) {
     const c = pos[childId];
     if (!p || !c) continue;
 
-    const rowIndex = parentNode.children.indexOf(childId);
-    if (rowIndex < 0) continue;
+    // Parent square → child column (first square anchor)
+    const from = getRowRect(layout, parentId, childId);
+    const to = getColumnEntryRect(layout, childId);
+    if (!from || !to) continue;
+
+    wires.push(wire({
+      ...getWireAnchors(layout, from, to),
+      kind: "branch",
+      depth: p.depth,
+      className: "branch-wire",
+      faded: isFilteredOut(filter, childId),
+      data: {
+        "parent-id": parentId,
+        "child-id": childId
+      }
+    }));
+  }
+
+  // ------------------------------------------------------------
+  // 2) Merge wires: secondary parent tile → node tile (DAG lineage)
+  // ------------------------------------------------------------
+  for (const nodeId of Object.keys(state.nodes)) {
+    const mergeParents = getMergeParentIds(state, nodeId, layout.parentIndex);
+    if (mergeParents.length === 0) continue;
 
-    // Parent square → right edge
-    const x1 = p.x + nodeSize;
-    const y1 = p.yTop + rowIndex * rowHeight + nodeSize / 2;
+    const to = getNodeTileRect(state, layout, nodeId);
+    if (!to) continue;
 
-    // Child column → left edge (top square anchor)
-    const x2 = c.x;
-    const y2 = c.yTop + nodeSize / 2;
+    for (const parentId of mergeParents) {
+      const from = getNodeTileRect(state, layout, parentId);
+      if (!from) continue;
 
-    drawCubicWire({ wiresEl, x1, y1, x2, y2 });
+      wires.push(wire({
+        ...getWireAnchors(layout, from, to),
+        kind: "merge",
+        depth: pos[findParentColumnId(state, parentId, layout.parentIndex)]?.depth,
+        className: "merge-wire",
+        faded: isFilteredOut(filter, nodeId) || isFilteredOut(filter, parentId),
+        data: {
+          "parent-id": parentId,
+          "child-id": nodeId
+        }
+      }));
+    }
   }
 
   // ------------------------------------------------------------
-  // 2) Star wires: source tile → star tile in STAR columns
+  // 3) Cross-link wires: referenced tile → referencing tile ("Inspired by")
+  // ------------------------------------------------------------
+  for (const nodeId of Object.keys(state.nodes)) {
+    const refs = getReferenceIds(state, nodeId);
+    if (refs.length === 0) continue;
+
+    const to = getNodeTileRect(state, layout, nodeId);
+    if (!to) continue;
+
+    for (const refId of refs) {
+      const from = getNodeTileRect(state, layout, refId);
+      if (!from) continue;
+
+      wires.push(wire({
+        ...getWireAnchors(layout, from, to),
+        kind: "link",
+        depth: pos[findParentColumnId(state, refId, layout.parentIndex)]?.depth,
+        className: "link-wire",
+        faded: isFilteredOut(filter, nodeId) || isFilteredOut(filter, refId),
+        data: {
+          "parent-id": refId,
+          "child-id": nodeId
+        }
+      }));
+    }
+  }
+
+  // ------------------------------------------------------------
+  // 4) Star wires: source tile → star tile in STAR columns
   // ------------------------------------------------------------
   const starRootIndex = new Map();
   for (const [starRootId, starRoot] of Object.entries(state.nodes || {})) {
     if (!isStarRootNode(starRoot, starRootId)) continue;
     const kids = Array.isArray(starRoot.children) ? starRoot.children : [];
-    for (let i = 0; i < kids.length; i++) {
-      starRootIndex.set(kids[i], { starRootId, rowIndex: i });
-    }
+    for (const starId of kids) starRootIndex.set(starId, { starRootId });
   }
 
-  if (starRootIndex.size === 0) return;
+  if (starRootIndex.size === 0) return wires;
 
   for (const [sourceId, sourceNode] of Object.entries(state.nodes)) {
     if (!sourceNode) continue;
@@ -85,79 +265,304 @@ export function renderWires({ state, layout, wiresEl }) {
     const starRootRef = starRootIndex.get(starId);
     if (!starRootRef) continue;
 
-    const { starRootId, rowIndex: starRowIndex } = starRootRef;
+    const { starRootId } = starRootRef;
     const starPos = pos[starRootId];
     if (!starPos) continue;
 
     // Find the parent column that actually displays this source tile
-    const parentId = findParentColumnId(state, sourceId);
+    const parentId = findParentColumnId(state, sourceId, layout.parentIndex);
     if (!parentId) continue;
 
     const parentNode = state.nodes[parentId];
     const p = pos[parentId];
     if (!parentNode || !p) continue;
 
-    const rowIndex = parentNode.children.indexOf(sourceId);
-    if (rowIndex < 0) continue;
-
-    // Source tile → right edge
-    const x1 = p.x + nodeSize;
-    const y1 = p.yTop + rowIndex * rowHeight + nodeSize / 2;
-
-    // Star tile (2× tile) → left edge
-    // Center of 2× tile is at +nodeSize from its row top
-    const x2 = starPos.x;
-    const y2 = starPos.yTop + starRowIndex * starRowHeight + nodeSize;
-
-    drawCubicWire({
-      wiresEl,
-      x1,
-      y1,
-      x2,
-      y2,
-      stroke: "rgba(255,255,255,0.35)",
-      width: 2.25,
-      dash: "6 6",
+    // Source tile → star tile (2× tile) in the star column
+    const from = getRowRect(layout, parentId, sourceId);
+    const to = getRowRect(layout, starRootId, starId);
+    if (!from || !to) continue;
+
+    wires.push(wire({
+      ...getWireAnchors(layout, from, to),
+      kind: "star",
+      depth: p.depth,
       className: "star-wire",
+      faded: isFilteredOut(filter, sourceId),
       data: {
+        "parent-id": sourceId,
+        "child-id": starId,
         "star-id": starId,
         "source-id": sourceId
       }
-    });
+    }));
+  }
+
+  return wires;
+}
+
+// ------------------------------------------------------------
+// Edge labels: what changed from a parent to each child
+// ------------------------------------------------------------
+
+const LABEL_FONT_PX = 11;
+
+// parent.files → child.files → { added, removed }: files don't change after
+// load, so each pair is only diffed once across renders
+const diffStatsCache = new WeakMap();
+const NO_FILES = {};
+
+/**
+ * One label per laid-out child tile, centred on the midpoint of the wire from
+ * its parent's tile to it: the child's `changeNote` and/or "+N −M" lines vs.
+ * the primary parent's files (lineDiff.js). A column's first tile sits at the
+ * end of the branch wire; every other labelled tile gets a `row-wire`
+ * connector (same shape) to carry its label. Root columns have no parent
+ * tile, so their tiles get none.
+ */
+function collectWireLabels({ state, layout, filter, config }) {
+  const { notes = true, diffStats = true, maxChars = 20 } = config.labels;
+  const style = config.kinds?.branch?.style ?? config.style;
+  const out = [];
+
+  for (const [colId, p] of Object.entries(layout.pos)) {
+    const parent = state.nodes[colId];
+    if (!parent || parent.kind === "root" || isStarRootNode(parent, colId)) continue;
+
+    const from = getNodeTileRect(state, layout, colId);
+    if (!from) continue;
+
+    for (const [i, row] of (p.rows || []).entries()) {
+      const child = state.nodes[row.id];
+      if (!child || child.kind === "star") continue;
+
+      const note = notes ? truncate(child.changeNote || "", maxChars) : "";
+
+      let stats = "";
+      if (diffStats && Object.keys(parent.files || {}).length) {
+        const { added, removed } = getDiffStats(parent, child);
+        if (added || removed) stats = `+${added} −${removed}`;
+      }
+      if (!note && !stats) continue;
+
+      const to = getRowRect(layout, colId, row.id);
+      if (!to) continue;
+
+      const anchors = getWireAnchors(layout, from, to);
+      const faded = isFilteredOut(filter, row.id);
+      const data = {
+        "parent-id": colId,
+        "child-id": row.id
+      };
+
+      // Past the first row the branch wire doesn't reach: draw the connector
+      if (i > 0) {
+        out.push(styledWire(config, {
+          ...anchors,
+          kind: "branch",
+          depth: Math.max(0, p.depth - 1),
+          className: "branch-wire row-wire",
+          faded,
+          data
+        }));
+      }
+
+      const { mid } = buildWirePath({
+        ...anchors,
+        style,
+        cornerRadius: config.cornerRadius,
+        arcBend: config.arcBend
+      });
+
+      const lines = [note, stats].filter(Boolean);
+      out.push({
+        type: "label",
+        ...labelPlacement(mid, labelAngle(anchors, mid), lines),
+        lines,
+        title: child.changeNote || "",
+        hasNote: !!note,
+        className: ["wire-label", faded ? "is-filtered-out" : ""]
+          .filter(Boolean)
+          .join(" "),
+        data,
+        el: null
+      });
+    }
+  }
+
+  return out;
+}
+
+function getDiffStats(parent, child) {
+  const childFiles = child.files || NO_FILES;
+
+  let byChild = diffStatsCache.get(parent.files);
+  if (!byChild) {
+    byChild = new WeakMap();
+    diffStatsCache.set(parent.files, byChild);
+  }
+
+  let stats = byChild.get(childFiles);
+  if (!stats) {
+    stats = diffFiles(parent.files, childFiles);
+    byChild.set(childFiles, stats);
+  }
+  return stats;
+}
+
+// Degrees to turn a label so it reads along the depth axis the wires run on:
+// level in ltr / rtl, upward in ttb, along the radius (kept upright) in radial
+function labelAngle({ axis, center }, [mx, my]) {
+  if (axis === "y") return -90;
+  if (axis !== "radial") return 0;
+
+  let deg = (Math.atan2(my - center.y, mx - center.x) * 180) / Math.PI;
+  if (deg > 90) deg -= 180;
+  else if (deg <= -90) deg += 180;
+  return deg;
+}
+
+// Text block centred on the path midpoint (its halo masks the wire under it),
+// turned by `angle` about it, with the turned block's bounds
+function labelPlacement([mx, my], angle, lines) {
+  const w = Math.max(...lines.map((l) => l.length)) * LABEL_FONT_PX * 0.6;
+  const h = lines.length * LABEL_FONT_PX * 1.25;
+
+  const rad = (angle * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(rad));
+  const sin = Math.abs(Math.sin(rad));
+  const bw = w * cos + h * sin;
+  const bh = w * sin + h * cos;
+
+  return {
+    x: mx,
+    y: my - h / 2,
+    angle,
+    anchor: "middle",
+    bbox: { x: mx - bw / 2, y: my - bh / 2, w: bw, h: bh }
+  };
+}
+
+function createWireLabel({ x, y, angle, anchor, lines, title, hasNote, className, data }) {
+  const text = document.createElementNS(SVG_NS, "text");
+  text.setAttribute("class", className);
+  text.setAttribute("text-anchor", anchor);
+  text.setAttribute("font-size", String(LABEL_FONT_PX));
+  if (angle) {
+    const cy = y + (lines.length * LABEL_FONT_PX * 1.25) / 2;
+    text.setAttribute("transform", `rotate(${angle} ${x} ${cy})`);
   }
+  setDataAttributes(text, data);
+
+  lines.forEach((line, i) => {
+    const tspan = document.createElementNS(SVG_NS, "tspan");
+    tspan.setAttribute("x", String(x));
+    tspan.setAttribute("y", String(y + LABEL_FONT_PX * (1 + i * 1.25)));
+    if (!hasNote || i > 0) tspan.setAttribute("class", "wire-label-stats");
+    tspan.textContent = line;
+    text.appendChild(tspan);
+  });
+
+  if (title) {
+    const t = document.createElementNS(SVG_NS, "title");
+    t.textContent = title;
+    text.appendChild(t);
+  }
+
+  return text;
+}
+
+function truncate(text, max) {
+  const t = text.trim();
+  if (t.length <= max) return t;
+  return `${t.slice(0, max - 1).trimEnd()}…`;
 }
 
 // ------------------------------------------------------------
 // Helpers
 // ------------------------------------------------------------
 
-function drawCubicWire({
-  wiresEl,
+// Wire description + world bounds; the <path> is only built once it's needed
+function styledWire(config, {
   x1,
   y1,
   x2,
   y2,
-  stroke = "rgba(255,255,255,0.25)",
-  width = 2,
-  dash = null,
+  axis = "x",                 // tangent direction at both ends: "x" | "y" | "radial"
+  center = null,              // radial only: polar origin
+  kind = "branch",            // config.kinds key
+  depth = 0,                  // parent column depth (tapered style)
   className = "",
+  faded = false,              // tag filter: leads to a filtered-out node
   data = null
 }) {
-  const mid = (x1 + x2) / 2;
-
-  const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
-  path.setAttribute("d", `M ${x1} ${y1} C ${mid} ${y1}, ${mid} ${y2}, ${x2} ${y2}`);
-  path.setAttribute("fill", "none");
-  path.setAttribute("stroke", stroke);
-  path.setAttribute("stroke-width", String(width));
-  if (dash) path.setAttribute("stroke-dasharray", dash);
-  if (className) path.setAttribute("class", className);
-  if (data && typeof data === "object") {
-    for (const [key, value] of Object.entries(data)) {
-      if (value == null || value === "") continue;
-      path.setAttribute(`data-${key}`, String(value));
-    }
+  const kindConfig = config.kinds?.[kind] || {};
+  const { stroke, dash, style: kindStyle = config.style } = kindConfig;
+  const startWidth = taperWidth(kindConfig.width, depth, config.taper);
+  const endWidth = taperWidth(kindConfig.width, (depth || 0) + 1, config.taper);
+
+  // A ribbon is filled and can't carry a dash: dashed kinds stay a stroked
+  // bezier under "tapered", as wide as the ribbon would be at the parent end
+  const dashedTaper = kindStyle === "tapered" && !!dash;
+  const style = dashedTaper ? "bezier" : kindStyle;
+  const width = dashedTaper ? startWidth : kindConfig.width;
+
+  const { d, points, filled } = buildWirePath({
+    x1,
+    y1,
+    x2,
+    y2,
+    axis,
+    center,
+    style,
+    cornerRadius: config.cornerRadius,
+    arcBend: config.arcBend,
+    startWidth,
+    endWidth
+  });
+
+  // Every style stays inside the hull of its points
+  const xs = points.map((pt) => pt[0]);
+  const ys = points.map((pt) => pt[1]);
+  const pad = filled ? 1 : width;
+  const minX = Math.min(...xs) - pad;
+  const minY = Math.min(...ys) - pad;
+  const bbox = {
+    x: minX,
+    y: minY,
+    w: Math.max(...xs) + pad - minX,
+    h: Math.max(...ys) + pad - minY
+  };
+
+  const classes = [className, filled ? "is-tapered" : "", faded ? "is-filtered-out" : ""]
+    .filter(Boolean)
+    .join(" ");
+  return { d, bbox, stroke, width, dash, filled, className: classes, data, el: null };
+}
+
+function createWirePath({ d, stroke, width, dash, filled, className, data }) {
+  const path = document.createElementNS(SVG_NS, "path");
+  path.setAttribute("d", d);
+
+  if (filled) {
+    // Tapered ribbon: the outline is the wire, so fill it with the stroke colour
+    path.setAttribute("fill", stroke);
+    path.setAttribute("stroke", "none");
+  } else {
+    path.setAttribute("fill", "none");
+    path.setAttribute("stroke", stroke);
+    path.setAttribute("stroke-width", String(width));
+    if (dash) path.setAttribute("stroke-dasharray", dash);
   }
+  if (className) path.setAttribute("class", className);
+  setDataAttributes(path, data);
 
-  wiresEl.appendChild(path);
+  return path;
+}
+
+function setDataAttributes(el, data) {
+  if (!data || typeof data !== "object") return;
+  for (const [key, value] of Object.entries(data)) {
+    if (value == null || value === "") continue;
+    el.setAttribute(`data-${key}`, String(value));
+  }
 }